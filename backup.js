@@ -0,0 +1,142 @@
+/* backup.js - JSON バックアップの書き出し・検証・移行
+  - 形式: {app, schemaVersion, exportedAt, notifications: [...], settings}
+  - schemaVersion 1 = バージョン欄のない旧形式（localStorage の ns_notifications をそのまま保存した配列）
+  - 古い形の通知は migrateItem で現在の形に揃えてから validateItem で検証します
+  - DOMには触れないこと
+*/
+
+const BACKUP_APP_ID = 'ns-scheduler';
+const BACKUP_SCHEMA_VERSION = 2;
+const REPEAT_MODES = ['none', 'weekly', 'monthly', 'lastDay', 'nthWeekday', 'interval', 'rule'];
+const NOTIFY_TYPES = ['browser', 'popup', 'both'];
+
+function buildBackup(list, settings, now = Date.now()){
+  return JSON.stringify({
+    app: BACKUP_APP_ID,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    notifications: list,
+    settings
+  }, null, 2);
+}
+
+// 古い形の通知を現在の形に揃える（元のオブジェクトは変更しない）
+function migrateItem(raw){
+  const item = structuredClone(raw);
+  if (typeof item.id !== 'string' || !item.id) item.id = 'n_' + Date.now() + '_' + Math.floor(Math.random()*10000);
+  // v1: tz が数値オフセット
+  item.tz = normalizeTimeZone(item.tz);
+  if (typeof item.enabled !== 'boolean') item.enabled = true;
+  if (typeof item.soundOn !== 'boolean') item.soundOn = true;
+  // 音の選択・音量・繰り返しがない旧データ
+  item.sound = {...DEFAULT_SOUND, ...(item.sound && typeof item.sound === 'object' ? item.sound : {})};
+  if (!NOTIFY_TYPES.includes(item.notifyType)) item.notifyType = 'browser';
+  if (!Number.isFinite(item.createdAt)) item.createdAt = Date.now();
+  if (!Array.isArray(item.history)) item.history = [];
+  if (!Array.isArray(item.tags)) item.tags = [];
+  if (!Array.isArray(item.preAlerts)) item.preAlerts = [];
+  if (!QUIET_POLICIES.includes(item.quietPolicy)) item.quietPolicy = DEFAULT_QUIET_POLICY;
+  if (item.mode === 'after' && item.after) {
+    item.after.loopCount = item.after.loopCount || 0;
+    if (!Number.isFinite(item.after.remainingLoops)) item.after.remainingLoops = item.after.loopCount;
+  }
+  if (item.mode === 'at' && !item.repeatAt) item.repeatAt = 'none';
+  if (item.mode === 'sequence' && item.sequence) {
+    item.sequence.repeat = !!item.sequence.repeat;
+    if (!Number.isInteger(item.sequence.index)) item.sequence.index = 0;
+    if (!Number.isInteger(item.sequence.round)) item.sequence.round = 0;
+  }
+  // nextTime がなければ計算し直す（計算できなければ validateItem で弾く）
+  if (!Number.isFinite(item.nextTime) && (item.after || item.at || item.sequence)) {
+    try { item.nextTime = computeInitialNextTime(item); resetPreAlerts(item); } catch (e) { /* validateItem に任せる */ }
+  }
+  return item;
+}
+
+const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+// 通知の形を検証し、問題点の一覧を返す（空配列なら OK）
+function validateItem(item){
+  const errors = [];
+  if (!item || typeof item !== 'object') return ['オブジェクトではありません'];
+  if (typeof item.message !== 'string' || !item.message.trim()) errors.push('message がありません');
+  if (item.mode === 'after') {
+    const a = item.after;
+    if (!a || !isInt(a.hours, 0, 10000) || !isInt(a.minutes, 0, 59)) errors.push('after.hours / after.minutes が不正です');
+    else if (!isInt(a.loopCount, 0, 100000) || !isInt(a.remainingLoops, 0, 100000)) errors.push('after.loopCount / remainingLoops が不正です');
+  } else if (item.mode === 'at') {
+    if (!item.at || !isInt(item.at.hour, 0, 23) || !isInt(item.at.minute, 0, 59)) errors.push('at.hour / at.minute が不正です');
+    if (!REPEAT_MODES.includes(item.repeatAt)) errors.push(`repeatAt が不正です: ${item.repeatAt}`);
+    if (item.repeatAt === 'weekly' && !(Array.isArray(item.weekdays) && item.weekdays.length && item.weekdays.every(d => isInt(d, 0, 6)))) errors.push('weekdays が不正です');
+    if (item.repeatAt === 'monthly' && !isInt(item.monthDay, 1, 31)) errors.push('monthDay が不正です');
+    if (item.repeatAt === 'nthWeekday' && !(item.nthWeekday && [1, 2, 3, 4, -1].includes(item.nthWeekday.nth) && isInt(item.nthWeekday.weekday, 0, 6))) errors.push('nthWeekday が不正です');
+    if (item.repeatAt === 'interval' && !(item.interval && isInt(item.interval.every, 1, 10000) && ['day', 'week'].includes(item.interval.unit))) errors.push('interval が不正です');
+    if (item.repeatAt === 'rule') {
+      try { parseRecurrenceRule(item.rule, item); } catch (e) { errors.push(`rule: ${e.message}`); }
+    }
+  } else if (item.mode === 'sequence') {
+    const seq = item.sequence;
+    if (!seq || !Array.isArray(seq.steps) || !seq.steps.length || seq.steps.length > MAX_SEQUENCE_STEPS) errors.push('sequence.steps が不正です');
+    else if (!seq.steps.every(s => s && isInt(s.minutes, 1, 10080) && typeof s.message === 'string')) errors.push('sequence.steps の minutes / message が不正です');
+    else if (!isInt(seq.index, 0, seq.steps.length - 1)) errors.push('sequence.index が不正です');
+    if (seq && seq.pausedRemaining !== undefined && !(seq.pausedRemaining >= 0)) errors.push('sequence.pausedRemaining が不正です');
+  } else {
+    errors.push(`mode が不正です: ${item.mode}`);
+  }
+  if (!Array.isArray(item.tags) || !item.tags.every(t => typeof t === 'string' && t.trim())) errors.push('tags が不正です');
+  if (!Array.isArray(item.preAlerts) || !item.preAlerts.every(p => p && isInt(p.minutes, 1, 10080) && typeof p.template === 'string')) errors.push('preAlerts が不正です');
+  if (!QUIET_POLICIES.includes(item.quietPolicy)) errors.push(`quietPolicy が不正です: ${item.quietPolicy}`);
+  if (item.webhook !== undefined && !(item.webhook && !webhookUrlError(item.webhook.url) && typeof item.webhook.template === 'string')) errors.push('webhook が不正です');
+  if (item.held !== undefined && !(Array.isArray(item.held) && item.held.every(Number.isFinite))) errors.push('held が不正です');
+  const s = item.sound;
+  if (!s || typeof s.id !== 'string' || !(s.volume >= 0 && s.volume <= 1) || !isInt(s.repeatSec, 0, 3600)) errors.push('sound が不正です');
+  if (!Number.isFinite(item.nextTime)) errors.push('nextTime がありません');
+  if (!Array.isArray(item.history) || !item.history.every(h => h && Number.isFinite(h.ts))) errors.push('history が不正です');
+  return errors;
+}
+
+// JSON テキスト -> {schemaVersion, entries: [{item, errors}], settings}
+function parseBackup(text){
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error('JSON として読み込めません'); }
+  let schemaVersion, rawItems, settings = null;
+  if (Array.isArray(data)) {
+    schemaVersion = 1;
+    rawItems = data;
+  } else if (data && data.app === BACKUP_APP_ID && Array.isArray(data.notifications)) {
+    schemaVersion = data.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) throw new Error('schemaVersion が不正です');
+    if (schemaVersion > BACKUP_SCHEMA_VERSION) throw new Error(`新しいバージョン（${schemaVersion}）のバックアップです。アプリを更新してください`);
+    rawItems = data.notifications;
+    settings = data.settings && typeof data.settings === 'object' ? data.settings : null;
+  } else {
+    throw new Error('通知スケジューラーのバックアップではありません');
+  }
+  const entries = rawItems.map(raw => {
+    if (!raw || typeof raw !== 'object') return {item: null, errors: ['オブジェクトではありません']};
+    const item = migrateItem(raw);
+    return {item, errors: validateItem(item)};
+  });
+  return {schemaVersion, entries, settings};
+}
+
+// 復元内容の計画。mode: 'merge'（id で重複排除）| 'replace'
+// 戻り値の result が保存後の一覧
+function planRestore(current, parsed, mode){
+  const valid = parsed.entries.filter(e => !e.errors.length).map(e => e.item);
+  const invalid = parsed.entries.filter(e => e.errors.length);
+  const currentById = new Map(current.map(x => [x.id, x]));
+  const importedById = new Map(valid.map(x => [x.id, x])); // 同じ id が複数あれば後勝ち
+  const added = [], changed = [], unchanged = [];
+  importedById.forEach(item => {
+    const existing = currentById.get(item.id);
+    if (!existing) added.push(item);
+    else if (JSON.stringify(existing) === JSON.stringify(item)) unchanged.push(item);
+    else changed.push(item);
+  });
+  const removed = mode === 'replace' ? current.filter(x => !importedById.has(x.id)) : [];
+  const result = mode === 'replace'
+    ? Array.from(importedById.values())
+    : current.map(x => importedById.get(x.id) || x).concat(added);
+  return {added, changed, unchanged, removed, invalid, result};
+}
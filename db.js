@@ -0,0 +1,119 @@
+/* db.js - 通知データの IndexedDB ストア（script.js と sw.js で共用）
+  - DB: ns-db / ストア: notifications（keyPath: id）, settings（keyPath: key）, sounds（keyPath: id）
+  - sounds はユーザーが追加した通知音（{id, name, type, blob, createdAt}）。ページだけが使います
+  - settings にはページの設定（localStorage の ns_settings）の写しを置き、SW からも読めるようにします
+  - Service Worker は localStorage を読めないため、通知データはここに置きます
+  - 旧バージョンの localStorage（ns_notifications）からの移行は script.js 側で行います
+*/
+
+const NS_DB_NAME = 'ns-db';
+const NS_DB_VERSION = 3;
+const NS_STORE = 'notifications';
+const NS_SETTINGS_STORE = 'settings';
+const NS_SETTINGS_KEY = 'app';
+const NS_SOUNDS_STORE = 'sounds';
+let nsDBPromise = null;
+
+function openNSDB(){
+  if (!nsDBPromise) {
+    nsDBPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(NS_DB_NAME, NS_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(NS_STORE)) db.createObjectStore(NS_STORE, {keyPath: 'id'});
+        if (!db.objectStoreNames.contains(NS_SETTINGS_STORE)) db.createObjectStore(NS_SETTINGS_STORE, {keyPath: 'key'});
+        if (!db.objectStoreNames.contains(NS_SOUNDS_STORE)) db.createObjectStore(NS_SOUNDS_STORE, {keyPath: 'id'});
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // 新しいバージョンの SW / タブが DB を更新できるように閉じる（次の呼び出しで開き直す）
+        db.onversionchange = () => { db.close(); nsDBPromise = null; };
+        resolve(db);
+      };
+      // 古い版のタブが接続を閉じないと更新が始まらない（閉じれば自動で続きます）
+      req.onblocked = () => console.warn('[db] 他のタブが古いバージョンの DB を開いているため更新を待っています。古いタブを閉じるか再読み込みしてください');
+      req.onerror = () => { nsDBPromise = null; reject(req.error); };
+    });
+  }
+  return nsDBPromise;
+}
+
+function txDone(tx){
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 登録順（createdAt）で返す
+async function dbGetAllNotifications(){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_STORE, 'readonly');
+  const req = tx.objectStore(NS_STORE).getAll();
+  await txDone(tx);
+  return (req.result || []).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+async function dbPutNotification(item){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_STORE, 'readwrite');
+  tx.objectStore(NS_STORE).put(item);
+  return txDone(tx);
+}
+
+async function dbDeleteNotification(id){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_STORE, 'readwrite');
+  tx.objectStore(NS_STORE).delete(id);
+  return txDone(tx);
+}
+
+// 変わった通知だけを書き込み・削除する（1トランザクション）
+// 一覧をまるごと置き換えると、他のタブや SW が書いたばかりの通知を古い内容で上書きしてしまうため
+async function dbApplyNotificationChanges(puts, deleteIds){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_STORE, 'readwrite');
+  const store = tx.objectStore(NS_STORE);
+  puts.forEach(item => store.put(item));
+  deleteIds.forEach(id => store.delete(id));
+  return txDone(tx);
+}
+
+// 設定の写し（見つからなければ空オブジェクト）
+async function dbGetSettings(){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_SETTINGS_STORE, 'readonly');
+  const req = tx.objectStore(NS_SETTINGS_STORE).get(NS_SETTINGS_KEY);
+  await txDone(tx);
+  return req.result ? req.result.value : {};
+}
+
+async function dbPutSettings(value){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_SETTINGS_STORE, 'readwrite');
+  tx.objectStore(NS_SETTINGS_STORE).put({key: NS_SETTINGS_KEY, value});
+  return txDone(tx);
+}
+
+// 追加した通知音（追加順）
+async function dbGetAllSounds(){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_SOUNDS_STORE, 'readonly');
+  const req = tx.objectStore(NS_SOUNDS_STORE).getAll();
+  await txDone(tx);
+  return (req.result || []).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+async function dbPutSound(sound){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_SOUNDS_STORE, 'readwrite');
+  tx.objectStore(NS_SOUNDS_STORE).put(sound);
+  return txDone(tx);
+}
+
+async function dbDeleteSound(id){
+  const db = await openNSDB();
+  const tx = db.transaction(NS_SOUNDS_STORE, 'readwrite');
+  tx.objectStore(NS_SOUNDS_STORE).delete(id);
+  return txDone(tx);
+}
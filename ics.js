@@ -0,0 +1,401 @@
+/* ics.js - iCalendar（.ics）の書き出しと読み込み
+  - 書き出し: 通知ごとに VEVENT + VALARM を作り、繰り返しは RRULE に変換します
+  - 読み込み: VEVENT を「at」モードの通知に変換します（保存は script.js 側でプレビュー後に行う）
+    RRULE の COUNT は最後の発生日時を数えて UNTIL に置き換えます
+  - 書き出しの TZID は IANA ゾーン名で、使ったゾーンごとに VTIMEZONE（RFC 5545 3.6.5）を付けます
+    切り替え日時は Intl から求め、毎年の規則（第n／最終 曜日）の RRULE にします
+  - 読み込みの TZID は IANA 名・Windows のゾーン名（Outlook など。ICS_WINDOWS_ZONES）・ファイル内の VTIMEZONE の順に解釈し、
+    どれでも決まらない予定は推測せずに誤りとして返します
+  - 一度きりの予定は日付付きの「一度だけ」（repeatAt: none + startDate）にします
+  - DOMには触れないこと
+*/
+
+const ICS_PRODID = '-//通知スケジューラー//NS 1.0//JA';
+const ICS_UID_DOMAIN = 'ns-scheduler';
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_MAX_COUNT = 1000; // RRULE の COUNT の上限（UNTIL に置き換えるときに数える回数）
+// Windows のゾーン名 -> IANA（CLDR windowsZones.xml の代表地域 001）
+const ICS_WINDOWS_ZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12', 'UTC-11': 'Etc/GMT+11', 'Aleutian Standard Time': 'America/Adak',
+  'Hawaiian Standard Time': 'Pacific/Honolulu', 'Marquesas Standard Time': 'Pacific/Marquesas', 'Alaskan Standard Time': 'America/Anchorage',
+  'UTC-09': 'Etc/GMT+9', 'Pacific Standard Time (Mexico)': 'America/Tijuana', 'UTC-08': 'Etc/GMT+8',
+  'Pacific Standard Time': 'America/Los_Angeles', 'US Mountain Standard Time': 'America/Phoenix', 'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Mountain Standard Time': 'America/Denver', 'Central America Standard Time': 'America/Guatemala', 'Central Standard Time': 'America/Chicago',
+  'Easter Island Standard Time': 'Pacific/Easter', 'Central Standard Time (Mexico)': 'America/Mexico_City', 'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota', 'Eastern Standard Time (Mexico)': 'America/Cancun', 'Eastern Standard Time': 'America/New_York',
+  'Haiti Standard Time': 'America/Port-au-Prince', 'Cuba Standard Time': 'America/Havana', 'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Paraguay Standard Time': 'America/Asuncion', 'Atlantic Standard Time': 'America/Halifax', 'Venezuela Standard Time': 'America/Caracas',
+  'Central Brazilian Standard Time': 'America/Cuiaba', 'SA Western Standard Time': 'America/La_Paz', 'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns', 'E. South America Standard Time': 'America/Sao_Paulo', 'SA Eastern Standard Time': 'America/Cayenne',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires', 'Greenland Standard Time': 'America/Godthab', 'Montevideo Standard Time': 'America/Montevideo',
+  'UTC-02': 'Etc/GMT+2', 'Azores Standard Time': 'Atlantic/Azores', 'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+  'UTC': 'UTC', 'GMT Standard Time': 'Europe/London', 'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin', 'Central Europe Standard Time': 'Europe/Budapest', 'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw', 'W. Central Africa Standard Time': 'Africa/Lagos', 'Jordan Standard Time': 'Asia/Amman',
+  'GTB Standard Time': 'Europe/Bucharest', 'Middle East Standard Time': 'Asia/Beirut', 'Egypt Standard Time': 'Africa/Cairo',
+  'E. Europe Standard Time': 'Europe/Chisinau', 'Syria Standard Time': 'Asia/Damascus', 'South Africa Standard Time': 'Africa/Johannesburg',
+  'FLE Standard Time': 'Europe/Kiev', 'Israel Standard Time': 'Asia/Jerusalem', 'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+  'Arabic Standard Time': 'Asia/Baghdad', 'Turkey Standard Time': 'Europe/Istanbul', 'Arab Standard Time': 'Asia/Riyadh',
+  'Belarus Standard Time': 'Europe/Minsk', 'Russian Standard Time': 'Europe/Moscow', 'E. Africa Standard Time': 'Africa/Nairobi',
+  'Iran Standard Time': 'Asia/Tehran', 'Arabian Standard Time': 'Asia/Dubai', 'Azerbaijan Standard Time': 'Asia/Baku',
+  'Mauritius Standard Time': 'Indian/Mauritius', 'Georgian Standard Time': 'Asia/Tbilisi', 'Caucasus Standard Time': 'Asia/Yerevan',
+  'Afghanistan Standard Time': 'Asia/Kabul', 'West Asia Standard Time': 'Asia/Tashkent', 'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+  'Pakistan Standard Time': 'Asia/Karachi', 'India Standard Time': 'Asia/Kolkata', 'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Kathmandu', 'Central Asia Standard Time': 'Asia/Almaty', 'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Yangon', 'SE Asia Standard Time': 'Asia/Bangkok', 'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+  'China Standard Time': 'Asia/Shanghai', 'North Asia Standard Time': 'Asia/Krasnoyarsk', 'Singapore Standard Time': 'Asia/Singapore',
+  'W. Australia Standard Time': 'Australia/Perth', 'Taipei Standard Time': 'Asia/Taipei', 'Ulaanbaatar Standard Time': 'Asia/Ulaanbaatar',
+  'North Asia East Standard Time': 'Asia/Irkutsk', 'Tokyo Standard Time': 'Asia/Tokyo', 'Korea Standard Time': 'Asia/Seoul',
+  'Yakutsk Standard Time': 'Asia/Yakutsk', 'Cen. Australia Standard Time': 'Australia/Adelaide', 'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane', 'AUS Eastern Standard Time': 'Australia/Sydney', 'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'Tasmania Standard Time': 'Australia/Hobart', 'Vladivostok Standard Time': 'Asia/Vladivostok', 'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+  'New Zealand Standard Time': 'Pacific/Auckland', 'UTC+12': 'Etc/GMT-12', 'Fiji Standard Time': 'Pacific/Fiji',
+  'Tonga Standard Time': 'Pacific/Tongatapu', 'Samoa Standard Time': 'Pacific/Apia', 'Line Islands Standard Time': 'Pacific/Kiritimati'
+};
+
+// ===== 書き出し =====
+function icsEscape(s){
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// 75オクテットごとに折り返す（RFC 5545 3.1）
+function icsFold(line){
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = '', size = 0, limit = 75;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > limit) { out.push(current); current = ''; size = 0; limit = 74; }
+    current += ch; size += n;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function icsUtcStamp(ts){
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsLocalStamp(ts, tz){
+  const p = getZonedParts(ts, tz);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}${pad(p.month + 1)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}00`;
+}
+
+// 通知の繰り返し設定 -> RRULE（変換できなければ null）
+function itemToRRule(item){
+  switch (item.repeatAt) {
+    case 'weekly': return `FREQ=WEEKLY;BYDAY=${(item.weekdays || []).map(d => ICS_WEEKDAYS[d]).join(',')}`;
+    case 'monthly': return `FREQ=MONTHLY;BYMONTHDAY=${item.monthDay}`;
+    case 'lastDay': return 'FREQ=MONTHLY;BYMONTHDAY=-1';
+    case 'nthWeekday': return `FREQ=MONTHLY;BYDAY=${item.nthWeekday.nth}${ICS_WEEKDAYS[item.nthWeekday.weekday]}`;
+    case 'interval': return `FREQ=${item.interval.unit === 'week' ? 'WEEKLY' : 'DAILY'};INTERVAL=${item.interval.every}`;
+    case 'rule': return /^(RRULE:)?FREQ=/i.test(item.rule) ? item.rule.replace(/^RRULE:/i, '') : null;
+    default: return null;
+  }
+}
+
+function itemToVEvent(item, now){
+  const tz = item.mode === 'at' ? normalizeTimeZone(item.tz) : 'UTC';
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${item.icsUid || `${item.id}@${ICS_UID_DOMAIN}`}`,
+    `DTSTAMP:${icsUtcStamp(now)}`,
+    // nextTime は必ず発生日時の1つなので、繰り返しの起点としてそのまま使える
+    tz === 'UTC' ? `DTSTART:${icsUtcStamp(item.nextTime)}` : `DTSTART;TZID=${tz}:${icsLocalStamp(item.nextTime, tz)}`,
+    'DURATION:PT0M',
+    `SUMMARY:${icsEscape(item.message)}`
+  ];
+  if (item.mode === 'at') {
+    const rrule = itemToRRule(item);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+    // cron は iCalendar で表せないので独自プロパティで持ち回る（このアプリで読み込むと復元）
+    if (item.repeatAt === 'rule' && !rrule) lines.push(`X-NS-CRON:${icsEscape(item.rule)}`);
+  }
+  if (!item.enabled) lines.push('STATUS:CANCELLED');
+  lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${icsEscape(alertMessage(item, {kind: 'main'}))}`,
+    'TRIGGER:PT0M',
+    'END:VALARM'
+  );
+  // 予告（◯分前）は開始前の VALARM にする（読み込み時は無視されます）
+  if (item.mode === 'at') {
+    (item.preAlerts || []).forEach(p => lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${icsEscape(formatPreAlert(item, p))}`,
+      `TRIGGER:-PT${p.minutes}M`,
+      'END:VALARM'
+    ));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// +0900 / -0430 形式（ms から）
+function icsUtcOffset(ms){
+  const minutes = Math.round(ms / 60000);
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// year 年のうちにオフセットが変わる時刻 [{at, from, to}]（1日ずつ調べて、変わった日を1分単位まで二分探索）
+function icsZoneTransitions(tz, year){
+  const end = Date.UTC(year + 1, 0, 1);
+  const transitions = [];
+  let t = Date.UTC(year, 0, 1);
+  let offset = getTZOffset(t, tz);
+  while (t < end) {
+    const next = Math.min(t + DAY_MS, end);
+    const nextOffset = getTZOffset(next, tz);
+    if (nextOffset !== offset) {
+      let lo = t, hi = next;
+      while (hi - lo > 60 * 1000) {
+        const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+        if (getTZOffset(mid, tz) === offset) lo = mid; else hi = mid;
+      }
+      transitions.push({at: hi, from: offset, to: nextOffset});
+      offset = nextOffset;
+    }
+    t = next;
+  }
+  return transitions;
+}
+
+// ゾーン -> VTIMEZONE の行（year 年の切り替えを毎年の規則として書く。切り替えのないゾーンは STANDARD だけ）
+function buildVTimezone(tz, year){
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  const transitions = icsZoneTransitions(tz, year);
+  if (!transitions.length) {
+    const offset = icsUtcOffset(getTZOffset(Date.UTC(year, 0, 1), tz));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+  transitions.forEach(x => {
+    // DTSTART は切り替え前のオフセットでの壁時計
+    const local = new Date(x.at + x.from);
+    const day = local.getUTCDate();
+    const last = day + 7 > daysInMonth(local.getUTCFullYear(), local.getUTCMonth());
+    const type = x.to > x.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${icsUtcStamp(local.getTime()).replace(/Z$/, '')}`,
+      `TZOFFSETFROM:${icsUtcOffset(x.from)}`,
+      `TZOFFSETTO:${icsUtcOffset(x.to)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${last ? -1 : Math.ceil(day / 7)}${ICS_WEEKDAYS[local.getUTCDay()]}`,
+      `END:${type}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function buildICS(list, now = Date.now()){
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN'];
+  // 一時停止中のシーケンスは次の時刻が決まっていないので書き出さない
+  const items = list.filter(item => Number.isFinite(item.nextTime) && !isSequencePaused(item));
+  // TZID を使うゾーン（UTC 以外の at モード）ごとに VTIMEZONE を付ける（RFC 5545 の必須要件）
+  const zones = new Set(items.filter(item => item.mode === 'at').map(item => normalizeTimeZone(item.tz)).filter(tz => tz !== 'UTC'));
+  zones.forEach(tz => lines.push(...buildVTimezone(tz, new Date(now).getUTCFullYear())));
+  items.forEach(item => lines.push(...itemToVEvent(item, now)));
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// ===== 読み込み =====
+function icsUnescape(s){
+  return String(s).replace(/\\([\\;,nN])/g, (_, c) => c === 'n' || c === 'N' ? '\n' : c);
+}
+
+// "NAME;PARAM=x:value" -> {name, params, value}
+// 名前と値の区切りは引用符の外にある最初の「:」（引用符はパラメーター部分だけで数える。値の中の " はそのまま）
+function parseICSLine(line){
+  let colon = -1, quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) { colon = i; break; }
+  }
+  const head = colon >= 0 ? line.slice(0, colon) : line;
+  const value = colon >= 0 ? line.slice(colon + 1) : '';
+  const [name, ...rest] = head.split(';');
+  const params = {};
+  rest.forEach(p => {
+    const [k, v] = p.split('=');
+    params[k.toUpperCase()] = (v || '').replace(/^"|"$/g, '');
+  });
+  return {name: name.toUpperCase(), params, value};
+}
+
+// 折り返しを戻して行に分ける
+function unfoldICS(text){
+  return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+}
+
+// VEVENT のプロパティを取り出す（VALARM など入れ子の中身は無視）
+function parseICSEvents(text){
+  const events = [];
+  let current = null, depth = 0;
+  for (const raw of unfoldICS(text)) {
+    const {name, params, value} = parseICSLine(raw);
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') { current = {}; depth = 0; continue; }
+    if (!current) continue;
+    if (name === 'BEGIN') { depth++; continue; }
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') { events.push(current); current = null; continue; }
+    if (name === 'END') { depth--; continue; }
+    if (depth === 0 && !current[name]) current[name] = {params, value};
+  }
+  return events;
+}
+
+// VTIMEZONE -> {TZID: {location, offsets: [TZOFFSETTO, ...], daylight}}
+function parseICSTimeZones(text){
+  const zones = {};
+  let current = null, sub = null;
+  for (const raw of unfoldICS(text)) {
+    const {name, value} = parseICSLine(raw);
+    const upper = value.toUpperCase();
+    if (name === 'BEGIN' && upper === 'VTIMEZONE') { current = {offsets: [], daylight: false}; continue; }
+    if (!current) continue;
+    if (name === 'END' && upper === 'VTIMEZONE') { if (current.tzid) zones[current.tzid] = current; current = null; continue; }
+    if (name === 'BEGIN') { sub = upper; if (upper === 'DAYLIGHT') current.daylight = true; continue; }
+    if (name === 'END') { sub = null; continue; }
+    if (!sub && name === 'TZID') current.tzid = value;
+    else if (!sub && name === 'X-LIC-LOCATION') current.location = value;
+    else if (sub && name === 'TZOFFSETTO') current.offsets.push(value.trim());
+  }
+  return zones;
+}
+
+// TZID -> IANA のゾーン名（決まらなければ null）
+// IANA 名 → Windows のゾーン名 → VTIMEZONE（X-LIC-LOCATION、TZID の末尾の IANA 名、夏時間のない1時間単位の固定オフセット）の順
+function resolveICSTimeZone(tzid, zones = {}){
+  if (isValidTimeZone(tzid)) return tzid;
+  if (ICS_WINDOWS_ZONES[tzid]) return ICS_WINDOWS_ZONES[tzid];
+  const zone = zones[tzid];
+  if (!zone) return null;
+  if (isValidTimeZone(zone.location)) return zone.location;
+  // 例: /citadel.org/20190101_1/Europe/London
+  const parts = tzid.split('/');
+  for (let i = 1; i < parts.length - 1; i++) {
+    const name = parts.slice(i).join('/');
+    if (isValidTimeZone(name)) return name;
+  }
+  const offsets = [...new Set(zone.offsets)];
+  const m = !zone.daylight && offsets.length === 1 ? /^([+-])(\d{2})00$/.exec(offsets[0]) : null;
+  if (m) {
+    const hours = +m[2];
+    // Etc/GMT は符号が逆（+0900 = Etc/GMT-9）
+    const name = hours ? `Etc/GMT${m[1] === '+' ? '-' : '+'}${hours}` : 'UTC';
+    if (isValidTimeZone(name)) return name;
+  }
+  return null;
+}
+
+// DTSTART -> {date: {year, month, day}, hour, minute, tz}
+// TZID が解釈できなければ Error を投げる（別のゾーンと取り違えて時刻がずれないように推測しない）
+function parseICSDate(prop, zones = {}){
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+  if (!m) throw new Error(`日時を解釈できません: ${prop.value}`);
+  const date = {year: +m[1], month: +m[2] - 1, day: +m[3]};
+  if (m[7]) return {date, hour: +m[4], minute: +m[5], tz: 'UTC'};
+  const tzid = prop.params.TZID;
+  // TZID のない日時は「浮動時刻」なのでこの端末のゾーンで解釈
+  const tz = tzid ? resolveICSTimeZone(tzid, zones) : VIEWER_TZ;
+  if (!tz) throw new Error(`タイムゾーン「${tzid}」を解釈できません（IANA のゾーン名でなく、対応する VTIMEZONE もありません）`);
+  if (!m[4]) return {date, hour: 0, minute: 0, tz, allDay: true};
+  return {date, hour: +m[4], minute: +m[5], tz};
+}
+
+// RRULE -> 通知の繰り返し設定（単純なものは専用モード、それ以外は rule）
+function rruleToRepeat(rrule){
+  const params = {};
+  rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(kv => {
+    const [k, v] = kv.split('=');
+    params[k.toUpperCase()] = (v || '').toUpperCase();
+  });
+  const keys = Object.keys(params).filter(k => k !== 'FREQ' && k !== 'WKST').sort().join(',');
+  const interval = params.INTERVAL ? parseInt(params.INTERVAL, 10) : 1;
+  if (params.FREQ === 'WEEKLY' && keys === 'BYDAY' && /^(SU|MO|TU|WE|TH|FR|SA)(,(SU|MO|TU|WE|TH|FR|SA))*$/.test(params.BYDAY)) {
+    return {repeatAt: 'weekly', weekdays: params.BYDAY.split(',').map(d => ICS_WEEKDAYS.indexOf(d))};
+  }
+  if (params.FREQ === 'MONTHLY' && keys === 'BYMONTHDAY' && /^-?\d+$/.test(params.BYMONTHDAY)) {
+    const day = parseInt(params.BYMONTHDAY, 10);
+    if (day === -1) return {repeatAt: 'lastDay'};
+    if (day >= 1 && day <= 31) return {repeatAt: 'monthly', monthDay: day};
+  }
+  if (params.FREQ === 'MONTHLY' && keys === 'BYDAY') {
+    const m = /^([1-4]|-1)(SU|MO|TU|WE|TH|FR|SA)$/.exec(params.BYDAY);
+    if (m) return {repeatAt: 'nthWeekday', nthWeekday: {nth: parseInt(m[1], 10), weekday: ICS_WEEKDAYS.indexOf(m[2])}};
+  }
+  if ((params.FREQ === 'DAILY' || params.FREQ === 'WEEKLY') && (keys === '' || keys === 'INTERVAL')) {
+    return {repeatAt: 'interval', interval: {every: interval, unit: params.FREQ === 'WEEKLY' ? 'week' : 'day'}};
+  }
+  return {repeatAt: 'rule', rule: rrule.replace(/^RRULE:/i, '')};
+}
+
+// COUNT（回数）-> UNTIL（最後の発生日時・UTC）。通知の RRULE は COUNT を持てないので取り込み時に置き換えます
+// item は tz / at / startDate を設定済みのもの。COUNT が不正なら Error を投げる（その予定だけ取り込めない扱い）
+function rruleCountToUntil(rrule, item){
+  const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const countPart = parts.find(kv => /^COUNT=/i.test(kv));
+  if (!countPart) return rrule;
+  const count = Number(countPart.split('=')[1]);
+  if (!Number.isInteger(count) || count < 1 || count > ICS_MAX_COUNT) throw new Error(`RRULE の COUNT が不正です（1〜${ICS_MAX_COUNT}）: ${countPart}`);
+  if (parts.some(kv => /^UNTIL=/i.test(kv))) throw new Error('RRULE に COUNT と UNTIL の両方があります');
+  const rule = parts.filter(kv => kv !== countPart).join(';');
+  const d = parseDateString(item.startDate);
+  const probe = {...item, repeatAt: 'rule', rule};
+  let t = zonedTimeToEpoch(d.year, d.month, d.day, item.at.hour, item.at.minute, item.tz) - 1;
+  for (let i = 0; i < count; i++) {
+    const next = computeNextAtTime(probe, t);
+    if (next === null) break;
+    t = next;
+  }
+  return `${rule};UNTIL=${icsUtcStamp(t)}`;
+}
+
+// VEVENT 一覧 -> 取り込み候補 [{uid, item?, error?}]
+// zones は parseICSTimeZones の結果（TZID の解釈に使う）
+function icsEventsToItems(events, now = Date.now(), zones = {}){
+  return events.map(ev => {
+    const uid = ev.UID?.value || null;
+    const summary = icsUnescape(ev.SUMMARY?.value || ev.DESCRIPTION?.value || '').trim();
+    try {
+      if (!ev.DTSTART) throw new Error('DTSTART がありません');
+      if (!summary) throw new Error('件名がありません');
+      if (ev.STATUS?.value.toUpperCase() === 'CANCELLED') throw new Error('キャンセル済みの予定です');
+      if (ev['RECURRENCE-ID']) throw new Error('繰り返し予定の個別変更は取り込みません');
+      const start = parseICSDate(ev.DTSTART, zones);
+      const item = {
+        message: summary,
+        mode: 'at',
+        tz: start.tz,
+        at: {hour: start.hour, minute: start.minute},
+        startDate: formatDateString(start.date),
+        icsUid: uid || undefined
+      };
+      if (ev['X-NS-CRON']) {
+        Object.assign(item, {repeatAt: 'rule', rule: icsUnescape(ev['X-NS-CRON'].value)});
+      } else if (ev.RRULE) {
+        Object.assign(item, rruleToRepeat(rruleCountToUntil(ev.RRULE.value, item)));
+      } else {
+        // 一度きりの予定は日付付きの「一度だけ」（startDate の日のその時刻）
+        item.repeatAt = 'none';
+      }
+      if (item.repeatAt === 'rule') parseRecurrenceRule(item.rule, item);
+      item.nextTime = computeNextAtTime(item, now);
+      if (item.nextTime === null) throw new Error('今後の発生日時がありません（過去の予定）');
+      return {uid, item};
+    } catch (e) {
+      return {uid, summary, error: e.message};
+    }
+  });
+}
+
+function parseICS(text, now = Date.now()){
+  const events = parseICSEvents(text);
+  if (!events.length) throw new Error('VEVENT が見つかりません（.ics ファイルを選択してください）');
+  return icsEventsToItems(events, now, parseICSTimeZones(text));
+}
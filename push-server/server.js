@@ -0,0 +1,301 @@
+/* push-server/server.js - ローカル Web Push サーバー（任意）
+  使い方:
+    cd push-server && npm install && npm start
+    → http://localhost:8787 でアプリ本体も配信します（同じオリジンなら設定の「プッシュサーバー」は空欄のままでOK）
+    配信するのはアプリの静的ファイル（STATIC_FILES）だけです。既定では 127.0.0.1 でだけ待ち受けます
+  役割:
+  - VAPID 鍵を data/vapid.json に作成・保持
+  - 購読（PushSubscription）と各購読者の通知スケジュールを data/subscriptions.json に保存
+  - 各通知の nextTime（スヌーズ中はその時刻）になったらプッシュを送り、recurrence.js で次の時刻へ進める
+    送信に失敗（5xx・通信エラー）したら進めずに、次の確認（CHECK_INTERVAL_MS）で送り直す
+  - 一覧はページが PUT /push/schedules で丸ごと、SW がスヌーズ・完了した通知は PATCH /push/schedules で1件ずつ送ってくる
+  環境変数: PORT（既定 8787）, HOST（既定 127.0.0.1）, VAPID_SUBJECT（既定 mailto:admin@localhost）, NS_DATA_DIR,
+    APP_ORIGIN（アプリを別オリジンで配信する場合のオリジン。カンマ区切りで複数可。それ以外のオリジンからの /push/ は拒否）
+*/
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const vm = require('vm');
+const webpush = require('web-push');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = (process.env.APP_ORIGIN || '').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+const APP_ROOT = path.join(__dirname, '..');
+const DATA_DIR = process.env.NS_DATA_DIR || path.join(__dirname, 'data');
+const VAPID_FILE = path.join(DATA_DIR, 'vapid.json');
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
+const CHECK_INTERVAL_MS = 10 * 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// 発火時刻の計算はページ・SW と同じ recurrence.js を使う
+vm.runInThisContext(fs.readFileSync(path.join(APP_ROOT, 'recurrence.js'), 'utf8'), {filename: 'recurrence.js'});
+
+// ===== 保存 =====
+function readJSON(file, fallback){
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return fallback; }
+}
+
+function writeJSON(file, data){
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function loadVapidKeys(){
+  let keys = readJSON(VAPID_FILE, null);
+  if (!keys || !keys.publicKey || !keys.privateKey) {
+    keys = webpush.generateVAPIDKeys();
+    writeJSON(VAPID_FILE, keys);
+    console.log('[push] VAPID 鍵を作成しました:', VAPID_FILE);
+  }
+  return keys;
+}
+
+const vapid = loadVapidKeys();
+webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@localhost', vapid.publicKey, vapid.privateKey);
+
+// endpoint のハッシュ -> {subscription, notifications, updatedAt}
+let subscribers = readJSON(SUBSCRIPTIONS_FILE, {});
+
+function saveSubscribers(){
+  writeJSON(SUBSCRIPTIONS_FILE, subscribers);
+}
+
+function subscriberId(endpoint){
+  return crypto.createHash('sha256').update(String(endpoint)).digest('hex').slice(0, 32);
+}
+
+// 履歴はサーバーでは使わないので持たない
+function stripItems(list){
+  return (Array.isArray(list) ? list : [])
+    .filter(x => x && typeof x.id === 'string')
+    .map(({history, ...item}) => item);
+}
+
+// ===== 送信 =====
+async function sendPush(id, payload){
+  const sub = subscribers[id];
+  if (!sub) return false;
+  try {
+    await webpush.sendNotification(sub.subscription, JSON.stringify(payload), {TTL: 60 * 60});
+    return true;
+  } catch (e) {
+    // 購読が失効している
+    if (e.statusCode === 404 || e.statusCode === 410) {
+      console.log('[push] 失効した購読を削除します', id);
+      delete subscribers[id];
+      saveSubscribers();
+    } else {
+      console.error('[push] 送信に失敗しました', e.statusCode || '', e.body || e.message);
+    }
+    return false;
+  }
+}
+
+// 期限の来た通知を送り、次の時刻へ進める
+let checking = false;
+async function checkDue(now = Date.now()){
+  if (checking) return;
+  checking = true;
+  try {
+    await sendDue(now);
+  } finally {
+    checking = false;
+  }
+}
+
+// 送信を待つ間にクライアントが一覧を送り直すこと（PUT /push/schedules）があるので、通知は毎回いまの一覧から引く
+function findItem(id, itemId){
+  const sub = subscribers[id];
+  return sub ? sub.notifications.find(x => x.id === itemId) : null;
+}
+
+async function sendDue(now){
+  let changed = false;
+  for (const id of Object.keys(subscribers)) {
+    if (!subscribers[id]) continue;
+    for (const itemId of subscribers[id].notifications.map(x => x.id)) {
+      const item = findItem(id, itemId);
+      // サーバーが止まっていた間に本番も過ぎた予告は送らず、本番だけを送る
+      if (item && item.enabled && skipStalePreAlerts(item, now)) changed = true;
+      const due = item && item.enabled ? effectiveNextTime(item) : null;
+      if (!Number.isFinite(due) || due > now) continue;
+      const sent = await sendPush(id, {id: item.id, message: alertMessage(item), scheduledFor: due});
+      if (!subscribers[id]) break;
+      // 一時的な失敗（5xx・通信エラー）では進めず、次の CHECK_INTERVAL_MS で送り直す
+      if (!sent) continue;
+      // 送信中にクライアントが新しい次回時刻を送ってきていれば（クライアント側で発火済み）そちらを優先する
+      const latest = findItem(id, itemId);
+      if (!latest || effectiveNextTime(latest) !== due) continue;
+      advanceAfterFire(latest, Math.max(now, due));
+      changed = true;
+    }
+  }
+  if (changed) saveSubscribers();
+}
+
+// ===== HTTP =====
+const MIME = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8', '.png': 'image/png', '.mp3': 'audio/mpeg', '.svg': 'image/svg+xml'
+};
+
+function sendJSON(res, status, data){
+  res.writeHead(status, {'Content-Type': 'application/json; charset=utf-8'});
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error('body too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch (e) { reject(e); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// アプリ本体の静的ファイル（sw.js の APP_SHELL と sw.js 自身）。それ以外（.git や push-server/ など）は配信しない
+const STATIC_FILES = new Set([
+  'index.html', 'script.js', 'style.css', 'manifest.json', 'sw.js', 'assets/logo.png',
+  'sounds/ding.mp3', 'sounds/bell.mp3', 'sounds/soft.mp3', 'sounds/beep.mp3', 'sounds/alarm.mp3',
+  'db.js', 'recurrence.js', 'quiethours.js', 'webhook.js', 'timesync.js', 'scheduler.js', 'sounds.js', 'share.js', 'ics.js', 'backup.js'
+]);
+
+function serveStatic(req, res){
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    res.writeHead(400); return res.end('Bad request');
+  }
+  const name = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+  if (!STATIC_FILES.has(name)) { res.writeHead(404); return res.end('Not found'); }
+  const file = path.join(APP_ROOT, name);
+  fs.readFile(file, (err, data) => {
+    if (err) { res.writeHead(404); return res.end('Not found'); }
+    res.writeHead(200, {'Content-Type': MIME[path.extname(file)] || 'application/octet-stream'});
+    res.end(data);
+  });
+}
+
+const routes = {
+  'GET /push/vapid-public-key': async (req, res) => sendJSON(res, 200, {publicKey: vapid.publicKey}),
+
+  // 時計のずれの測定用（設定の「時刻ソース」に /push/time を指定）
+  'GET /push/time': async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    sendJSON(res, 200, {now: Date.now()});
+  },
+
+  // {subscription, notifications}
+  'POST /push/subscribe': async (req, res) => {
+    const body = await readBody(req);
+    if (!body.subscription || !body.subscription.endpoint) return sendJSON(res, 400, {error: 'subscription がありません'});
+    const id = subscriberId(body.subscription.endpoint);
+    subscribers[id] = {subscription: body.subscription, notifications: stripItems(body.notifications), updatedAt: Date.now()};
+    saveSubscribers();
+    sendJSON(res, 200, {id});
+  },
+
+  // {endpoint}
+  'POST /push/unsubscribe': async (req, res) => {
+    const body = await readBody(req);
+    delete subscribers[subscriberId(body.endpoint)];
+    saveSubscribers();
+    sendJSON(res, 200, {ok: true});
+  },
+
+  // {endpoint, notifications} 通知一覧をまるごと置き換える
+  'PUT /push/schedules': async (req, res) => {
+    const body = await readBody(req);
+    const sub = subscribers[subscriberId(body.endpoint)];
+    if (!sub) return sendJSON(res, 404, {error: '購読が見つかりません'});
+    sub.notifications = stripItems(body.notifications);
+    sub.updatedAt = Date.now();
+    saveSubscribers();
+    sendJSON(res, 200, {ok: true, count: sub.notifications.length});
+  },
+
+  // {endpoint, notifications} 変わった通知だけを差し替える（SW でのスヌーズ・完了など。ない id は追加）
+  'PATCH /push/schedules': async (req, res) => {
+    const body = await readBody(req);
+    const sub = subscribers[subscriberId(body.endpoint)];
+    if (!sub) return sendJSON(res, 404, {error: '購読が見つかりません'});
+    stripItems(body.notifications).forEach(item => {
+      const index = sub.notifications.findIndex(x => x.id === item.id);
+      if (index >= 0) sub.notifications[index] = item;
+      else sub.notifications.push(item);
+    });
+    sub.updatedAt = Date.now();
+    saveSubscribers();
+    sendJSON(res, 200, {ok: true, count: sub.notifications.length});
+  },
+
+  // {endpoint} テスト通知
+  'POST /push/test': async (req, res) => {
+    const body = await readBody(req);
+    const ok = await sendPush(subscriberId(body.endpoint), {test: true, message: 'テスト通知（プッシュサーバー）'});
+    sendJSON(res, ok ? 200 : 502, {ok});
+  }
+};
+
+// 同じオリジン（このサーバーが配信したアプリ）と APP_ORIGIN のオリジンだけ許可
+// Origin ヘッダーがない要求（ブラウザ以外・同じオリジンの GET）は許可する
+function isAllowedOrigin(req){
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  return ALLOWED_ORIGINS.includes(origin) || origin === `http://${req.headers.host}`;
+}
+
+const server = http.createServer(async (req, res) => {
+  let pathname;
+  try {
+    pathname = new URL(req.url, 'http://localhost').pathname;
+  } catch (e) {
+    return sendJSON(res, 400, {error: 'bad request'});
+  }
+  if (pathname.startsWith('/push/')) {
+    // 購読やスケジュールを勝手に書き換えられないように、許可していないオリジンのページからの要求は断る
+    if (!isAllowedOrigin(req)) return sendJSON(res, 403, {error: 'origin not allowed'});
+    res.setHeader('Vary', 'Origin');
+    if (req.headers.origin && ALLOWED_ORIGINS.includes(req.headers.origin)) {
+      // 別オリジンで配信しているアプリ（APP_ORIGIN）からも使えるように
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    }
+    if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+  }
+
+  const route = routes[`${req.method} ${pathname}`];
+  if (!route) {
+    if (req.method === 'GET') return serveStatic(req, res);
+    return sendJSON(res, 404, {error: 'not found'});
+  }
+  try {
+    await route(req, res);
+  } catch (e) {
+    console.error('[push]', e);
+    sendJSON(res, 400, {error: e.message});
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, HOST, () => {
+    console.log(`[push] http://${HOST}:${PORT} で起動しました（購読 ${Object.keys(subscribers).length} 件）`);
+  });
+  setInterval(() => checkDue().catch(e => console.error('[push]', e)), CHECK_INTERVAL_MS);
+}
+
+module.exports = {server, checkDue};
@@ -0,0 +1,71 @@
+/* quiethours.js - おやすみ時間（通知を控える時間帯）の判定（script.js と sw.js で共用）
+  - 設定 quietHours = {enabled, tz, days: 曜日ごと（日曜始まり）の {start: 'HH:MM', end: 'HH:MM'} | null}
+  - end が start 以前なら翌日の end まで続きます（例: 月曜 22:00〜7:00 = 火曜 7:00 まで）
+  - 時刻は tz（未設定ならこの端末のゾーン）の壁時計で判定します
+  - 通知ごとの item.quietPolicy:
+      hold   - 終わるまで保留し、終わったらまとめて1件の通知にする（保留中は item.held に発火時刻を残す）
+      drop   - 通知しない（履歴には残す）
+      silent - 音なしで通知
+      ignore - おやすみ時間でも通常どおり通知
+  - DOMには触れないこと
+*/
+
+const QUIET_POLICIES = ['hold', 'drop', 'silent', 'ignore'];
+const DEFAULT_QUIET_POLICY = 'hold';
+const QUIET_SUMMARY_ID = 'ns-quiet-summary'; // まとめ通知の tag
+const DEFAULT_QUIET_HOURS = {enabled: false, tz: null, days: [null, null, null, null, null, null, null]};
+
+// 'HH:MM' -> {hour, minute}（不正なら null）
+function parseClockString(s){
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(s || ''));
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return {hour: +m[1], minute: +m[2]};
+}
+
+// ts を含むおやすみ時間 {start, end}（含まれなければ null）
+// 前日から続く時間帯もあるので、当日と前日に始まる時間帯を調べます
+function quietWindowAt(quietHours, ts){
+  if (!quietHours || !quietHours.enabled || !Array.isArray(quietHours.days)) return null;
+  const tz = normalizeTimeZone(quietHours.tz || VIEWER_TZ);
+  const today = getZonedParts(ts, tz);
+  for (const back of [0, 1]) {
+    const date = new Date(Date.UTC(today.year, today.month, today.day - back));
+    const range = quietHours.days[date.getUTCDay()];
+    const start = range && parseClockString(range.start);
+    const end = range && parseClockString(range.end);
+    if (!start || !end) continue;
+    const y = date.getUTCFullYear(), mo = date.getUTCMonth(), d = date.getUTCDate();
+    const overnight = end.hour * 60 + end.minute <= start.hour * 60 + start.minute;
+    const startTs = zonedTimeToEpoch(y, mo, d, start.hour, start.minute, tz);
+    const endTs = zonedTimeToEpoch(y, mo, d + (overnight ? 1 : 0), end.hour, end.minute, tz);
+    if (ts >= startTs && ts < endTs) return {start: startTs, end: endTs};
+  }
+  return null;
+}
+
+// 発火時の扱い: 'fire'（通常どおり）| 'hold' | 'drop' | 'silent'
+function quietDecision(item, quietHours, ts){
+  const policy = QUIET_POLICIES.includes(item.quietPolicy) ? item.quietPolicy : DEFAULT_QUIET_POLICY;
+  if (policy === 'ignore' || !quietWindowAt(quietHours, ts)) return 'fire';
+  return policy;
+}
+
+// 保留を記録（履歴への quiet: 'held' の記録は呼び出し側）。item を直接書き換えて返します
+function holdFiring(item, firedAt){
+  item.held = item.held || [];
+  item.held.push(firedAt);
+  return item;
+}
+
+// 保留中の通知をまとめる -> {title, body, ids}（保留がなければ null）。items の held は空にします
+function releaseHeld(items, now = Date.now()){
+  const held = items.filter(x => x.held && x.held.length);
+  if (!held.length) return null;
+  const total = held.reduce((n, x) => n + x.held.length, 0);
+  const body = held.map(x => `${x.message}${x.held.length > 1 ? `（${x.held.length}回）` : ''}`).join('\n');
+  held.forEach(x => {
+    (x.history || []).forEach(h => { if (h.quiet === 'held' && x.held.includes(h.ts)) h.releasedAt = now; });
+    delete x.held;
+  });
+  return {title: `おやすみ時間中の通知 ${total}件`, body, ids: held.map(x => x.id)};
+}
@@ -0,0 +1,612 @@
+/* recurrence.js - 発火時刻の計算（script.js と sw.js で共用）
+  - DOMには触れないこと（Service Worker から importScripts で読み込まれます）
+  - タイムゾーンは Intl のみで計算します（外部ライブラリなし）
+*/
+
+// ===== タイムゾーン計算 =====
+// 各通知はIANAゾーン名（例: Asia/Tokyo）を item.tz に持ち、「at」の時刻はそのゾーンの壁時計として解釈します。
+const DEFAULT_TZ = 'Asia/Tokyo';
+const VIEWER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_INDEX = {Sun:0, Mon:1, Tue:2, Wed:3, Thu:4, Fri:5, Sat:6};
+const tzFormatters = new Map();
+
+function isValidTimeZone(tz){
+  if (!tz || typeof tz !== 'string') return false;
+  try { new Intl.DateTimeFormat('en-US', {timeZone: tz}); return true; } catch (e) { return false; }
+}
+
+// 旧バージョンの数値オフセット（"9", "-5" など）をIANAの Etc/GMT ゾーンに変換
+// Etc/GMT は符号が逆なので注意（GMT+9 = Etc/GMT-9）
+function normalizeTimeZone(tz){
+  if (typeof tz === 'number' || /^[+-]?\d+$/.test(String(tz ?? '').trim())) {
+    const offset = parseInt(tz, 10);
+    if (offset === 0) return 'UTC';
+    const name = `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+    if (isValidTimeZone(name)) return name;
+  }
+  return isValidTimeZone(tz) ? tz : DEFAULT_TZ;
+}
+
+function getTZFormatter(tz){
+  if (!tzFormatters.has(tz)) {
+    tzFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return tzFormatters.get(tz);
+}
+
+// epoch ms -> 指定ゾーンでの年月日時分（monthは0始まり, weekdayは0=日）
+function getZonedParts(ts, tz){
+  const p = {};
+  getTZFormatter(tz).formatToParts(new Date(ts)).forEach(part => { p[part.type] = part.value; });
+  return {
+    year: +p.year, month: +p.month - 1, day: +p.day,
+    hour: +p.hour % 24, minute: +p.minute, second: +p.second,
+    weekday: WEEKDAY_INDEX[p.weekday]
+  };
+}
+
+// 指定時刻におけるゾーンのUTCオフセット(ms)
+function getTZOffset(ts, tz){
+  const p = getZonedParts(ts, tz);
+  return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+// 指定ゾーンの壁時計時刻 -> epoch ms
+// DSTで存在しない時刻（春の切り替え）は切り替え前のオフセットで解釈して後ろへずらし、
+// 2回ある時刻（秋の切り替え）は早い方を返します。日付の繰り上がりは Date.UTC に任せます。
+function zonedTimeToEpoch(year, monthIndex, day, hour, minute, tz){
+  const wall = Date.UTC(year, monthIndex, day, hour, minute, 0, 0);
+  const before = getTZOffset(wall - DAY_MS, tz);
+  const after = getTZOffset(wall + DAY_MS, tz);
+  const valid = [before, after]
+    .map(offset => wall - offset)
+    .filter(ts => wall - getTZOffset(ts, tz) === ts);
+  if (valid.length) return Math.min(...valid);
+  return wall - before;
+}
+
+// 表示用: 指定ゾーンでの日時文字列
+function formatInZone(ts, tz){
+  return new Date(ts).toLocaleString('ja-JP', {timeZone: tz, hour12: false, year:'numeric', month:'numeric', day:'numeric', weekday:'short', hour:'2-digit', minute:'2-digit'});
+}
+
+// ===== 繰り返しルール =====
+// repeatAt:
+//   none       - 一度だけ（startDate があればその日、なければ今日のその時刻・過ぎていれば明日）
+//   weekly     - 毎週（weekdays: [0=日..6=土]）
+//   monthly    - 毎月 monthDay 日（その日がない月はスキップ）
+//   lastDay    - 毎月末日
+//   nthWeekday - 毎月第n曜日（nthWeekday: {nth: 1..4 | -1=最終, weekday}）
+//   interval   - startDate から N日／N週ごと（interval: {every, unit: 'day'|'week'}）
+//   rule       - cron（5フィールド）または RRULE 形式の式（rule）。RRULE の DTSTART は startDate
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+const RRULE_WEEKDAYS = {SU:0, MO:1, TU:2, WE:3, TH:4, FR:5, SA:6};
+const MAX_SCAN_DAYS = 366 * 5; // 2/29 のような稀な日付も拾えるように
+
+function daysInMonth(year, monthIndex){
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// 1970-01-01 からの通算日
+function epochDay(year, monthIndex, day){
+  return Math.floor(Date.UTC(year, monthIndex, day) / DAY_MS);
+}
+
+// 'YYYY-MM-DD' -> {year, month, day}
+function parseDateString(s){
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ''));
+  return m ? {year: +m[1], month: +m[2] - 1, day: +m[3]} : null;
+}
+
+function formatDateString(p){
+  return `${p.year}-${String(p.month + 1).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function formatClock(hour, minute){
+  return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+// 指定ゾーンの暦で matchDay を満たす日の times（[[時, 分], ...] 昇順）のうち、from より後の最初の時刻
+// 見つからなければ null
+function findNextZonedTime(tz, from, matchDay, times, maxDays = MAX_SCAN_DAYS){
+  const today = getZonedParts(from, tz);
+  for (let i = 0; i <= maxDays; i++) {
+    const date = new Date(Date.UTC(today.year, today.month, today.day + i));
+    const day = {
+      year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(),
+      weekday: date.getUTCDay()
+    };
+    day.epochDay = epochDay(day.year, day.month, day.day);
+    day.daysInMonth = daysInMonth(day.year, day.month);
+    if (!matchDay(day)) continue;
+    for (const [h, m] of times) {
+      const t = zonedTimeToEpoch(day.year, day.month, day.day, h, m, tz);
+      if (t > from) return t;
+    }
+  }
+  return null;
+}
+
+// 月内で第何週の曜日か（1始まり）と、月末から数えて何番目か（-1 = 最終）
+function nthInMonth(day){ return Math.ceil(day.day / 7); }
+function nthFromMonthEnd(day){ return -Math.ceil((day.daysInMonth - day.day + 1) / 7); }
+
+// ----- cron（分 時 日 月 曜日）-----
+const CRON_FIELDS = [
+  {name: '分', min: 0, max: 59},
+  {name: '時', min: 0, max: 23},
+  {name: '日', min: 1, max: 31},
+  {name: '月', min: 1, max: 12},
+  {name: '曜日', min: 0, max: 7}
+];
+
+function parseCronField(src, spec){
+  const values = new Set();
+  for (const part of src.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`cron の${spec.name}フィールドが不正です: ${part}`);
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    let lo = spec.min, hi = spec.max;
+    if (m[2] !== undefined) {
+      lo = parseInt(m[2], 10);
+      hi = m[3] !== undefined ? parseInt(m[3], 10) : (m[4] ? spec.max : lo);
+    }
+    if (lo < spec.min || hi > spec.max || lo > hi || step < 1) {
+      throw new Error(`cron の${spec.name}フィールドの範囲が不正です: ${part}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr){
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error('cron は「分 時 日 月 曜日」の5フィールドで指定してください');
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  // 日と曜日の両方が指定されている場合はどちらかに一致すればよい（cron の慣例）
+  const dayRestricted = fields[2] !== '*';
+  const weekdayRestricted = fields[4] !== '*';
+  const times = [];
+  [...hours].sort((a, b) => a - b).forEach(h => [...minutes].sort((a, b) => a - b).forEach(m => times.push([h, m])));
+  return {
+    type: 'cron', fields, times,
+    matchDay: day => {
+      if (!months.has(day.month + 1)) return false;
+      const dayOk = days.has(day.day);
+      const weekdayOk = weekdays.has(day.weekday);
+      if (dayRestricted && weekdayRestricted) return dayOk || weekdayOk;
+      return dayOk && weekdayOk;
+    }
+  };
+}
+
+// ----- RRULE（RFC 5545 のサブセット）-----
+// 対応: FREQ(DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, BYDAY(2TU, -1FR など), BYMONTHDAY(-1 可), BYMONTH, BYHOUR, BYMINUTE, UNTIL
+function parseRRule(expr, {hour, minute, start, tz}){
+  const params = {};
+  expr.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(kv => {
+    const [k, v] = kv.split('=');
+    params[String(k).trim().toUpperCase()] = String(v ?? '').trim().toUpperCase();
+  });
+  const freq = params.FREQ;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) throw new Error('RRULE の FREQ は DAILY / WEEKLY / MONTHLY / YEARLY のいずれかです');
+  if (params.COUNT) throw new Error('RRULE の COUNT は未対応です（UNTIL を使ってください）');
+  const interval = params.INTERVAL ? parseInt(params.INTERVAL, 10) : 1;
+  if (!(interval >= 1)) throw new Error('RRULE の INTERVAL が不正です');
+
+  const intList = (key, lo, hi) => {
+    if (!params[key]) return null;
+    return params[key].split(',').map(v => {
+      const n = parseInt(v, 10);
+      if (Number.isNaN(n) || Math.abs(n) < lo || Math.abs(n) > hi) throw new Error(`RRULE の ${key} が不正です: ${v}`);
+      return n;
+    });
+  };
+  const byDay = params.BYDAY ? params.BYDAY.split(',').map(v => {
+    const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(v);
+    if (!m) throw new Error(`RRULE の BYDAY が不正です: ${v}`);
+    return {nth: m[1] ? parseInt(m[1], 10) : 0, weekday: RRULE_WEEKDAYS[m[2]]};
+  }) : null;
+  const byMonthDay = intList('BYMONTHDAY', 1, 31);
+  const byMonth = intList('BYMONTH', 1, 12);
+  const byHour = intList('BYHOUR', 0, 23);
+  const byMinute = intList('BYMINUTE', 0, 59);
+
+  let until = null;
+  if (params.UNTIL) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(params.UNTIL);
+    if (!m) throw new Error('RRULE の UNTIL が不正です（例: 20251231 / 20251231T235959Z）');
+    if (m[7]) until = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+    else if (m[4]) until = zonedTimeToEpoch(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], tz) + (+m[6]) * 1000;
+    else until = zonedTimeToEpoch(+m[1], +m[2] - 1, +m[3], 23, 59, tz);
+  }
+
+  const anchorDay = epochDay(start.year, start.month, start.day);
+  const anchorWeekday = new Date(Date.UTC(start.year, start.month, start.day)).getUTCDay();
+  // WEEKLY の週は月曜始まり（RRULE の WKST 既定値）
+  const weekStart = d => d - (new Date(d * DAY_MS).getUTCDay() + 6) % 7;
+  const weekdays = byDay || (freq === 'WEEKLY' ? [{nth: 0, weekday: anchorWeekday}] : null);
+  const months = byMonth || (freq === 'YEARLY' ? [start.month + 1] : null);
+  const monthDays = byMonthDay || (!byDay && (freq === 'MONTHLY' || freq === 'YEARLY') ? [start.day] : null);
+
+  const times = [];
+  (byHour || [hour]).slice().sort((a, b) => a - b).forEach(h => (byMinute || [minute]).slice().sort((a, b) => a - b).forEach(m => times.push([h, m])));
+
+  const matchDay = day => {
+    if (day.epochDay < anchorDay) return false;
+    const diff = {
+      DAILY: () => day.epochDay - anchorDay,
+      WEEKLY: () => (weekStart(day.epochDay) - weekStart(anchorDay)) / 7,
+      MONTHLY: () => (day.year * 12 + day.month) - (start.year * 12 + start.month),
+      YEARLY: () => day.year - start.year
+    }[freq]();
+    if (diff % interval !== 0) return false;
+    if (months && !months.includes(day.month + 1)) return false;
+    if (monthDays && !monthDays.some(n => n > 0 ? day.day === n : day.day === day.daysInMonth + n + 1)) return false;
+    if (weekdays && !weekdays.some(w => {
+      if (w.weekday !== day.weekday) return false;
+      if (!w.nth) return true;
+      // YEARLY で BYMONTH がなければ年内の第n、それ以外は月内の第n
+      if (freq === 'YEARLY' && !byMonth) {
+        const dayOfYear = day.epochDay - epochDay(day.year, 0, 1) + 1;
+        const daysInYear = epochDay(day.year + 1, 0, 1) - epochDay(day.year, 0, 1);
+        return w.nth > 0 ? Math.ceil(dayOfYear / 7) === w.nth : -Math.ceil((daysInYear - dayOfYear + 1) / 7) === w.nth;
+      }
+      return w.nth > 0 ? nthInMonth(day) === w.nth : nthFromMonthEnd(day) === w.nth;
+    })) return false;
+    return true;
+  };
+
+  return {type: 'rrule', freq, interval, byDay, byMonthDay: monthDays, byMonth: months, times, until, matchDay};
+}
+
+// rule 文字列を解析（FREQ= / RRULE: で始まれば RRULE、それ以外は cron）。不正なら Error を投げます
+function parseRecurrenceRule(expr, item = {}){
+  const src = String(expr || '').trim();
+  if (!src) throw new Error('式を入力してください');
+  if (/^(RRULE:)?FREQ=/i.test(src)) {
+    const tz = normalizeTimeZone(item.tz);
+    const start = parseDateString(item.startDate) || getZonedParts(Date.now(), tz);
+    return parseRRule(src, {hour: item.at?.hour ?? 0, minute: item.at?.minute ?? 0, start, tz});
+  }
+  return parseCron(src);
+}
+
+// computing next occurrence for "at" mode (minutes precision)
+// 時刻・曜日・日付はすべて item.tz の暦で評価します。from より後の最初の発火時刻を返し、もう発火しないルールなら null
+function computeNextAtTime(item, from = Date.now()) {
+  const tz = normalizeTimeZone(item.tz);
+  const {hour, minute} = item.at;
+  const times = [[hour, minute]];
+
+  switch (item.repeatAt) {
+    case 'weekly':
+      if (!Array.isArray(item.weekdays) || !item.weekdays.length) break;
+      return findNextZonedTime(tz, from, day => item.weekdays.includes(day.weekday), times, 7);
+    case 'monthly':
+      if (!item.monthDay) break;
+      return findNextZonedTime(tz, from, day => day.day === item.monthDay, times);
+    case 'lastDay':
+      return findNextZonedTime(tz, from, day => day.day === day.daysInMonth, times, 62);
+    case 'nthWeekday': {
+      const {nth, weekday} = item.nthWeekday || {};
+      if (!nth || weekday === undefined) break;
+      return findNextZonedTime(tz, from, day => day.weekday === weekday && (nth > 0 ? nthInMonth(day) === nth : nthFromMonthEnd(day) === nth), times, 62);
+    }
+    case 'interval': {
+      const every = Math.max(1, item.interval?.every || 1) * (item.interval?.unit === 'week' ? 7 : 1);
+      const start = parseDateString(item.startDate) || getZonedParts(from, tz);
+      const anchor = epochDay(start.year, start.month, start.day);
+      return findNextZonedTime(tz, from, day => day.epochDay >= anchor && (day.epochDay - anchor) % every === 0, times, every + 366 * 2);
+    }
+    case 'rule': {
+      let rule;
+      try { rule = parseRecurrenceRule(item.rule, item); } catch (e) { return null; }
+      const t = findNextZonedTime(tz, from, rule.matchDay, rule.times);
+      return t !== null && rule.until !== null && t > rule.until ? null : t;
+    }
+  }
+
+  // none（一度だけ）で日付があればその日時だけ（過ぎていればもう発火しない）
+  const date = (item.repeatAt || 'none') === 'none' ? parseDateString(item.startDate) : null;
+  if (date) {
+    const t = zonedTimeToEpoch(date.year, date.month, date.day, hour, minute, tz);
+    return t > from ? t : null;
+  }
+  // none（一度だけ）または条件不足: 今日のその時刻、過ぎていれば明日
+  return findNextZonedTime(tz, from, () => true, times, 2) ?? from + DAY_MS;
+}
+
+// ===== 説明文（一覧表示用）=====
+function describeWeekdays(list){
+  return list.slice().sort((a, b) => a - b).map(d => WEEKDAY_LABELS[d]).join('・');
+}
+
+function describeNth(nth){
+  return nth === -1 ? '最終' : nth < 0 ? `最後から${-nth}番目の` : `第${nth}`;
+}
+
+function describeCron(rule){
+  const [min, hour, day, month, weekday] = rule.fields;
+  const parts = [];
+  if (month !== '*') parts.push(`${month}月`);
+  if (day !== '*') parts.push(`${day}日`);
+  if (weekday !== '*') {
+    const label = weekday.replace(/\d/g, d => WEEKDAY_LABELS[+d % 7]).replace(/-/g, '〜').replace(/,/g, '・');
+    parts.push(`${day !== '*' ? 'または' : ''}${label}曜日`);
+  }
+  if (!parts.length) parts.push('毎日');
+  if (rule.times.length === 1) parts.push(formatClock(...rule.times[0]));
+  else if (rule.times.length <= 6) parts.push(rule.times.map(t => formatClock(...t)).join('・'));
+  else parts.push(`${hour === '*' ? '毎時' : hour + '時台の'} ${min}分`);
+  return `${parts.join(' ')}（cron: ${rule.fields.join(' ')}）`;
+}
+
+function describeRRule(rule, tz){
+  const unit = {DAILY: '日', WEEKLY: '週間', MONTHLY: 'か月', YEARLY: '年'}[rule.freq];
+  const every = {DAILY: '毎日', WEEKLY: '毎週', MONTHLY: '毎月', YEARLY: '毎年'}[rule.freq];
+  const parts = [rule.interval > 1 ? `${rule.interval}${unit}ごと` : every];
+  if (rule.byMonth && rule.freq === 'YEARLY') parts.push(rule.byMonth.map(m => `${m}月`).join('・'));
+  if (rule.byMonthDay) parts.push(rule.byMonthDay.map(n => n === -1 ? '末日' : n < 0 ? `月末から${-n}日目` : `${n}日`).join('・'));
+  if (rule.byDay) parts.push(rule.byDay.map(w => `${w.nth ? describeNth(w.nth) : ''}${WEEKDAY_LABELS[w.weekday]}曜日`).join('・'));
+  parts.push(rule.times.map(t => formatClock(...t)).join('・'));
+  if (rule.until !== null) parts.push(`（${formatInZone(rule.until, tz).split(' ')[0]}まで）`);
+  return parts.join(' ');
+}
+
+// 繰り返し設定を読みやすい日本語で説明
+function describeRecurrence(item){
+  if (item.mode === 'sequence') {
+    const steps = item.sequence.steps.map(s => `${s.minutes}分`).join('→');
+    return `シーケンス ${steps}${item.sequence.repeat ? '（繰り返し）' : ''}`;
+  }
+  if (item.mode === 'after') {
+    const {hours, minutes, loopCount} = item.after;
+    const span = `${hours ? hours + '時間' : ''}${minutes || !hours ? minutes + '分' : ''}`;
+    return loopCount > 0 ? `${span}ごとに${loopCount}回` : `${span}後`;
+  }
+  const time = formatClock(item.at.hour, item.at.minute);
+  switch (item.repeatAt) {
+    case 'weekly': return `毎週 ${describeWeekdays(item.weekdays || [])}曜日 ${time}`;
+    case 'monthly': return `毎月${item.monthDay}日 ${time}${item.monthDay > 28 ? `（${item.monthDay}日がない月はスキップ）` : ''}`;
+    case 'lastDay': return `毎月末日 ${time}`;
+    case 'nthWeekday': return `毎月${describeNth(item.nthWeekday.nth)}${WEEKDAY_LABELS[item.nthWeekday.weekday]}曜日 ${time}`;
+    case 'interval': {
+      const every = item.interval?.every || 1;
+      const unit = item.interval?.unit === 'week' ? '週間' : '日';
+      return `${item.startDate ? item.startDate.replace(/-/g, '/') + 'から' : ''}${every === 1 && unit === '日' ? '毎日' : every + unit + 'ごと'} ${time}`;
+    }
+    case 'rule':
+      try {
+        const rule = parseRecurrenceRule(item.rule, item);
+        return rule.type === 'cron' ? describeCron(rule) : describeRRule(rule, normalizeTimeZone(item.tz));
+      } catch (e) {
+        return `ルールが不正です: ${e.message}`;
+      }
+    default: return `一度だけ ${item.startDate ? item.startDate.replace(/-/g, '/') + ' ' : ''}${time}`;
+  }
+}
+
+// 「after」モードの間隔(ms)
+function afterIntervalMs(after){
+  return ((after.hours*60 + after.minutes) * 60 * 1000);
+}
+
+// 有効化・編集時の最初の発火時刻（null = もう発火しない）
+function computeInitialNextTime(item, from = Date.now()){
+  if (item.mode === 'after') return from + afterIntervalMs(item.after);
+  if (item.mode === 'sequence') return from + sequenceStepMs(currentStep(item));
+  return computeNextAtTime(item, from);
+}
+
+// ===== シーケンス =====
+// mode 'sequence': item.sequence = {steps: [{minutes, message}], repeat, index, round, pausedRemaining?}
+// 今のステップ（index）の時間が過ぎたらそのステップのメッセージで通知し、次のステップへ進みます。
+// 最後のステップの次は、repeat なら最初に戻り（round を数える）、でなければ終了（enabled = false）。
+// index と nextTime（今のステップの終わり）は保存されるので、再読み込みしても続きから進みます。
+// 一時停止中は pausedRemaining（今のステップの残り ms）を持ち、effectiveNextTime は null になります（スヌーズは別）。
+const MAX_SEQUENCE_STEPS = 50;
+
+function sequenceStepMs(step){
+  return step.minutes * 60 * 1000;
+}
+
+function currentStep(item){
+  const {steps, index} = item.sequence;
+  return steps[Math.min(index || 0, steps.length - 1)];
+}
+
+function isSequencePaused(item){
+  return item.mode === 'sequence' && !!item.sequence && Number.isFinite(item.sequence.pausedRemaining);
+}
+
+// 最初のステップからやり直す（有効化・共有の取り込み時）。nextTime は呼び出し側で computeInitialNextTime する
+function restartSequence(item){
+  item.sequence.index = 0;
+  item.sequence.round = 0;
+  delete item.sequence.pausedRemaining;
+  return item;
+}
+
+// 次のステップへ進め、from からそのステップの時間を数える（一時停止中ならそのステップの頭で止めたまま）
+function advanceSequence(item, from = Date.now()){
+  const seq = item.sequence;
+  seq.index = (seq.index || 0) + 1;
+  if (seq.index >= seq.steps.length) {
+    seq.index = 0;
+    if (!seq.repeat) {
+      item.enabled = false;
+      delete seq.pausedRemaining;
+      return item;
+    }
+    seq.round = (seq.round || 0) + 1;
+  }
+  if (isSequencePaused(item)) seq.pausedRemaining = sequenceStepMs(currentStep(item));
+  item.nextTime = from + sequenceStepMs(currentStep(item));
+  return item;
+}
+
+function pauseSequence(item, now = Date.now()){
+  if (item.mode !== 'sequence' || isSequencePaused(item)) return item;
+  item.sequence.pausedRemaining = Math.max(0, item.nextTime - now);
+  return item;
+}
+
+function resumeSequence(item, now = Date.now()){
+  if (!isSequencePaused(item)) return item;
+  item.nextTime = now + item.sequence.pausedRemaining;
+  delete item.sequence.pausedRemaining;
+  return item;
+}
+
+// ===== 予告通知 =====
+// 「at」の通知に item.preAlerts = [{minutes, template}] を付けると、各発生日時（nextTime）の minutes 分前にも鳴ります。
+// 親の nextTime から計算するので繰り返し・タイムゾーンは親と同じ。親を停止・編集・削除すれば予告も一緒に消える／計算し直されます。
+// item.preAlertState = {for: 対象の nextTime, since: その nextTime になった時刻, fired: [鳴らした minutes]}
+// since より前の予告（登録した時点で過ぎていたもの）は鳴らしません。
+const DEFAULT_PRE_ALERT_TEMPLATE = '{message}まであと{n}分';
+
+// 今回の発生に対してまだ鳴っていない予告（時刻順）
+function pendingPreAlerts(item){
+  const state = item.preAlertState;
+  if (item.mode !== 'at' || !Array.isArray(item.preAlerts) || !Number.isFinite(item.nextTime)) return [];
+  if (!state || state.for !== item.nextTime) return [];
+  return item.preAlerts
+    .map(p => ({...p, at: item.nextTime - p.minutes * 60 * 1000}))
+    .filter(p => p.at > state.since && !state.fired.includes(p.minutes))
+    .sort((a, b) => a.at - b.at);
+}
+
+// 本番（nextTime）も過ぎているのにまだ鳴らしていない予告は、今さら鳴らしても意味がないので鳴らしたことにする
+// （スリープ復帰・Periodic Sync・サーバーの停止などで、予告と本番の両方が過ぎてから気づいたとき）。変えたら true
+function skipStalePreAlerts(item, now = Date.now()){
+  const pending = pendingPreAlerts(item);
+  if (!pending.length || item.nextTime > now) return false;
+  item.preAlertState.fired.push(...pending.map(p => p.minutes));
+  return true;
+}
+
+// nextTime を決め直したら呼ぶ（now より後の予告だけを鳴らす対象にする）
+function resetPreAlerts(item, now = Date.now()){
+  if (item.mode === 'at' && Array.isArray(item.preAlerts) && item.preAlerts.length && Number.isFinite(item.nextTime)) {
+    item.preAlertState = {for: item.nextTime, since: now, fired: []};
+  } else {
+    delete item.preAlertState;
+  }
+  return item;
+}
+
+function formatPreAlert(item, preAlert){
+  return String(preAlert.template || DEFAULT_PRE_ALERT_TEMPLATE)
+    .replace(/\{n\}/g, preAlert.minutes)
+    .replace(/\{message\}/g, item.message);
+}
+
+// 次に鳴るのが何か: {kind: 'snooze' | 'pre' | 'main', time, preAlert?}（予定がなければ null）
+function upcomingAlert(item){
+  const time = effectiveNextTime(item);
+  if (!Number.isFinite(time)) return null;
+  if (item.snooze && item.snooze.until === time) return {kind: 'snooze', time};
+  const preAlert = pendingPreAlerts(item).find(p => p.at === time);
+  if (preAlert) return {kind: 'pre', time, preAlert};
+  return {kind: 'main', time};
+}
+
+// 次に鳴るときの本文（予告ならテンプレートから作る）
+function alertMessage(item, alert = upcomingAlert(item)){
+  if (alert && alert.kind === 'pre') return formatPreAlert(item, alert.preAlert);
+  // シーケンスは終わったステップのメッセージ（スヌーズの再通知は全体の名前）
+  if (alert && alert.kind === 'main' && item.mode === 'sequence') return currentStep(item).message || item.message;
+  return item.message;
+}
+
+// ===== スヌーズ・完了 =====
+// スヌーズは item.snooze = {until, disableAfter} として持ち、繰り返しの nextTime とは別に「その回だけ」もう一度鳴らします。
+// disableAfter: スヌーズ前に通知が終了（enabled=false）していたので、スヌーズ後に再び無効にする
+const SNOOZE_ACTIONS = {snooze5: 5, snooze15: 15};
+
+// 次に鳴る時刻（スヌーズ・予告があればそちらが先）
+function effectiveNextTime(item){
+  const pre = pendingPreAlerts(item);
+  const next = pre.length ? pre[0].at : isSequencePaused(item) ? null : item.nextTime;
+  if (!item.snooze) return next;
+  if (item.snooze.disableAfter || !Number.isFinite(next)) return item.snooze.until;
+  return Math.min(item.snooze.until, next);
+}
+
+// 通知のアクション（snooze5 / snooze15 / done / open）を item に反映（ページ・SWで共通）。item を直接書き換えて返します。
+// firedAt は対象の発火（history の ts）。見つからなければ最新の履歴に記録します。
+// open はシステム通知の本文をクリックしたとき（確認済みとして記録するだけ）
+function applyNotificationAction(item, action, firedAt, now = Date.now()){
+  item.history = item.history || [];
+  const entry = item.history.find(h => h.ts === firedAt) || item.history[item.history.length - 1];
+  if (action === 'done' || action === 'open') {
+    if (entry && !entry.ackAt) { entry.ackAt = now; entry.ackAction = action; }
+  } else if (SNOOZE_ACTIONS[action]) {
+    const minutes = SNOOZE_ACTIONS[action];
+    if (entry) { entry.snoozedAt = now; entry.snoozeMinutes = minutes; }
+    item.snooze = {until: now + minutes * 60 * 1000, disableAfter: !item.enabled || !!item.snooze?.disableAfter};
+    item.enabled = true;
+  }
+  return item;
+}
+
+// ===== 履歴 =====
+// history の要素: {ts, message, delivery('browser' | 'popup' | 'both' | 'none'), source?('sw' | 'push'),
+//                 ackAt?, ackAction?, snoozedAt?, snoozeMinutes?, quiet?, releasedAt?, preAlert?,
+//                 webhook?('sent' | 'failed'), webhookError?}
+const DEFAULT_HISTORY_LIMIT = 200;
+
+// 履歴を追記し、limit 件（0 = 無制限）を超えた古いものを捨てる
+function appendHistory(item, entry, limit = DEFAULT_HISTORY_LIMIT){
+  item.history = item.history || [];
+  item.history.push(entry);
+  trimHistory(item, limit);
+  return item;
+}
+
+function trimHistory(item, limit = DEFAULT_HISTORY_LIMIT){
+  if (limit > 0 && item.history && item.history.length > limit) item.history.splice(0, item.history.length - limit);
+  return item;
+}
+
+// 発火後の状態更新（ページ・SWで共通）。item を直接書き換えて返します。
+// スヌーズの再通知ならスヌーズを消すだけ。そうでなければ、ループが残っていれば nextTime を進め、終わっていれば enabled を false にします。
+function advanceAfterFire(item, now = Date.now()){
+  if (item.snooze && item.snooze.until <= now && effectiveNextTime(item) === item.snooze.until) {
+    const {disableAfter} = item.snooze;
+    delete item.snooze;
+    if (disableAfter) item.enabled = false;
+    return item;
+  }
+  // 予告を鳴らしただけなら記録して、本番（nextTime）はそのまま
+  const alert = upcomingAlert(item);
+  if (alert && alert.kind === 'pre' && alert.time <= now) {
+    item.preAlertState.fired.push(alert.preAlert.minutes);
+    return item;
+  }
+  if (item.mode === 'after') {
+    // if loopCount>0 - decrement and reschedule
+    if (item.after.loopCount > 0 && item.after.remainingLoops > 1) {
+      item.after.remainingLoops -= 1;
+      item.nextTime = now + afterIntervalMs(item.after);
+    } else {
+      // not looping, or last loop done
+      item.enabled = false;
+    }
+  } else if (item.mode === 'at') {
+    const next = item.repeatAt === 'none' ? null : computeNextAtTime(item, now);
+    if (next === null) item.enabled = false;
+    else item.nextTime = next;
+    resetPreAlerts(item, now);
+  } else if (item.mode === 'sequence') {
+    advanceSequence(item, now);
+  }
+  return item;
+}
@@ -0,0 +1,160 @@
+/* scheduler.js - 通知の発火タイミングを管理するスケジューラー
+  - 次に鳴る時刻（nextTime、スヌーズ中はその時刻）順の優先度キュー（二分ヒープ）と、先頭に合わせて張り直す1本のタイマーで動きます
+  - setTimeout は約24.8日（2^31-1 ms）を超える遅延で即発火してしまうため、1回の待ち時間は MAX_TICK_MS までに抑えます
+  - スリープ中はタイマーが止まるブラウザもあるため、復帰・タブ復帰（visibilitychange など）でもキューを見直します
+  - 時計（clock）は差し替え可能なので、偽の時計を渡せば実時間を待たずに発火・再スケジュールを確認できます
+    例: const s = createScheduler({clock: fakeClock, onFire: item => fired.push(item)});
+    test/scheduler.test.js が偽の時計で動かしています（npm test）
+*/
+
+const MAX_TICK_MS = 60 * 1000;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+// options:
+//   clock    - {now, setTimeout, clearTimeout}（既定: systemClock）
+//   onFire   - async (item, firedAt) => void  実際の通知を出す
+//   lookup   - (id) => item | undefined      保存済みの最新状態（既定: キューに入れた item そのもの）
+//   onUpdate - (item) => void                 発火後に進めた状態を保存する
+//   advance  - (item, now) => item           発火後の状態更新（既定: advanceAfterFire）
+//   timeOf   - (item) => ms                  次に鳴る時刻（既定: effectiveNextTime）
+//   settle   - (item, now) => boolean         発火前に古くなった状態を片付ける。変えたら true（既定: skipStalePreAlerts）
+function createScheduler(options = {}){
+  const clock = options.clock || systemClock;
+  const onFire = options.onFire || (() => {});
+  const onUpdate = options.onUpdate || (() => {});
+  const advance = options.advance || advanceAfterFire;
+  const timeOf = options.timeOf || effectiveNextTime;
+  const settle = options.settle || skipStalePreAlerts;
+  const entries = new Map(); // id -> {id, nextTime, item}
+  const lookup = options.lookup || null;
+  let heap = [];
+  let timerId = null;
+  let running = false;
+
+  // ===== 二分ヒープ（nextTime の小さい順）=====
+  function swap(i, j){ const t = heap[i]; heap[i] = heap[j]; heap[j] = t; }
+  function push(entry){
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].nextTime <= heap[i].nextTime) break;
+      swap(i, parent); i = parent;
+    }
+  }
+  function pop(){
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let min = i;
+        if (l < heap.length && heap[l].nextTime < heap[min].nextTime) min = l;
+        if (r < heap.length && heap[r].nextTime < heap[min].nextTime) min = r;
+        if (min === i) break;
+        swap(i, min); i = min;
+      }
+    }
+    return top;
+  }
+  // cancel/再登録で古くなった要素は取り出すときに捨てる
+  function peek(){
+    while (heap.length && entries.get(heap[0].id) !== heap[0]) pop();
+    return heap[0];
+  }
+
+  function arm(){
+    if (timerId !== null) { clock.clearTimeout(timerId); timerId = null; }
+    if (running) return;
+    const head = peek();
+    if (!head) return;
+    const delay = Math.min(Math.max(0, head.nextTime - clock.now()), MAX_TICK_MS);
+    timerId = clock.setTimeout(tick, delay);
+  }
+
+  async function tick(){
+    if (timerId !== null) { clock.clearTimeout(timerId); timerId = null; }
+    if (running) return;
+    running = true;
+    try {
+      let head;
+      while ((head = peek()) && head.nextTime <= clock.now()) {
+        pop();
+        entries.delete(head.id);
+        await fireEntry(head);
+      }
+    } finally {
+      running = false;
+      arm();
+    }
+  }
+
+  async function fireEntry(entry){
+    // 他所（SW など）で既に処理されていたら最新の状態で入れ直すだけ
+    const current = lookup ? lookup(entry.id) : entry.item;
+    if (!current || !current.enabled) return;
+    // 本番も過ぎた予告は鳴らさない（入れ直した本番はこの tick のうちに発火する）
+    if (settle(current, clock.now())) onUpdate(current);
+    if (timeOf(current) !== entry.nextTime) return schedule(current);
+
+    try {
+      await onFire(current, clock.now());
+    } catch (e) {
+      console.error('通知の発火に失敗しました', e);
+    }
+    // onFire が履歴を書き込んでいる可能性があるので最新を取り直してから進める
+    const fired = (lookup && lookup(entry.id)) || current;
+    advance(fired, clock.now());
+    onUpdate(fired);
+    schedule(fired);
+  }
+
+  function schedule(item){
+    entries.delete(item.id);
+    const nextTime = timeOf(item);
+    if (item.enabled && Number.isFinite(nextTime)) {
+      const entry = {id: item.id, nextTime, item};
+      entries.set(item.id, entry);
+      push(entry);
+    }
+    arm();
+  }
+
+  function cancel(id){
+    entries.delete(id);
+    arm();
+  }
+
+  function clear(){
+    entries.clear();
+    heap = [];
+    arm();
+  }
+
+  // スリープ復帰・タブ復帰・オンライン復帰で期限を見直す（ページ用）
+  function watchWake(target = globalThis){
+    const recheck = () => { if (!running) tick(); };
+    target.document?.addEventListener('visibilitychange', () => {
+      if (target.document.visibilityState === 'visible') recheck();
+    });
+    ['focus', 'pageshow', 'online'].forEach(type => target.addEventListener?.(type, recheck));
+  }
+
+  return {
+    schedule,
+    cancel,
+    clear,
+    check: tick,
+    watchWake,
+    has: id => entries.has(id),
+    nextEntry: () => peek(),
+    get size(){ return entries.size; }
+  };
+}
@@ -1,17 +1,54 @@
 /* script.js
   重要:
-  - localStorageを使って通知データを保存します（キー: ns_notifications）
+  - 通知データは IndexedDB（db.js）に保存し、Service Worker と共有します
+    （旧バージョンの localStorage キー ns_notifications は初回起動時に移行）
+  - 発火時刻の計算は recurrence.js（Service Worker と共用）
   - setTimeoutでページが開いている時は確実に通知を出します
+  - 複数のタブで開いていても、発火させるのはリーダーのタブ1つだけです（「複数タブの連携」）
   - Service Worker registrationとPeriodic Sync（利用できる場合）を試みます
-  - ブラウザがPeriodic Syncをサポートしていない場合は、ページが閉じているときに通知が来ない可能性があります（対策はWeb Pushサーバーを用意すること）
+  - ブラウザがPeriodic Syncをサポートしていない場合は、ページが閉じているときに通知が来ない可能性があります（対策は push-server/ の Web Push を有効にすること）
 */
 
 const STORAGE_KEY = 'ns_notifications';
+const SETTINGS_KEY = 'ns_settings';
+const DEFAULT_SETTINGS = {
+  catchUpPolicy: 'once', // skip | once | each
+  soundEnabled: true, // 全体の通知音（オフにするとすべての通知を消音）
+  tagColors: {}, // タグ名 -> 色（#rrggbb）
+  quietHours: DEFAULT_QUIET_HOURS, // おやすみ時間（quiethours.js）
+  pushEnabled: false,
+  pushServer: '', // 空欄 = このページと同じオリジン
+  historyLimit: DEFAULT_HISTORY_LIMIT, // 通知ごとの履歴の保存件数（0 = 無制限）
+  timeSource: 'https://worldtimeapi.org/api/timezone/Etc/UTC', // 時計のずれを測る時刻ソース（空欄 = 補正しない）
+  presets: [], // 通知のテンプレート [{id, name, template}]（share.js の itemToTemplate）
+  webhookDefaultUrl: '', // 新しい通知の Webhook の URL の初期値・テスト送信先
+  webhookDefaultPreset: DEFAULT_WEBHOOK_PRESET
+};
+const MISSED_GRACE_MS = 60 * 1000; // これより遅れていたら「見逃し」扱い
+const MAX_CATCH_UP = 100;
+const TIME_SYNC_INTERVAL_MS = 10 * 60 * 1000;
 const notifArea = document.getElementById('notifArea');
-const ding = document.getElementById('ding');
+const SOUND_REPEAT_MAX_MS = 30 * 60 * 1000; // 確認されなくても繰り返しはここまで
+const TAG_PALETTE = ['#3b82f6', '#22c55e', '#f59e0b', '#ef4444', '#a855f7', '#14b8a6', '#ec4899', '#64748b'];
+const MAX_TAG_LENGTH = 20;
+const LIVE_TICK_MS = 1000;
+const DUE_SOON_MS = 60 * 60 * 1000; // タイトル・アプリのバッジに出す「1時間以内」の件数
+const BASE_TITLE = document.title;
 
 let deferredPrompt = null;
-let timeouts = new Map(); // id -> timeoutId
+// 端末の時計のずれを補正した現在時刻（timesync.js）。発火時刻の計算・発火はすべてこの時計で行う
+const timeSync = createTimeSync();
+function appNow(){ return timeSync.now(); }
+// 発火タイミングは scheduler.js のスケジューラーにまとめて任せる
+const scheduler = createScheduler({
+  clock: {...systemClock, now: appNow},
+  onFire: item => fireNotification(item),
+  lookup: id => loadNotifications().find(x => x.id === id),
+  onUpdate: item => updateItem(item)
+});
+let notificationsCache = []; // IndexedDB の内容のメモリ上のコピー
+let storeBackend = 'idb'; // IndexedDB が使えない環境では 'localStorage'
+let persistQueue = Promise.resolve();
 
 document.addEventListener('DOMContentLoaded', init);
 
@@ -23,14 +60,37 @@ async function init(){
   document.getElementById('mode').addEventListener('change', onModeChange);
   document.getElementById('createForm').addEventListener('submit', onCreate);
   document.getElementById('repeatAt').addEventListener('change', onRepeatAtChange);
+  document.getElementById('ruleExpr').addEventListener('input', updateRulePreview);
+  document.getElementById('cancelEdit').addEventListener('click', cancelEdit);
+  document.getElementById('soundPreview').addEventListener('click', previewSound);
+  document.getElementById('soundVolume').addEventListener('input', updateVolumeLabel);
+  document.getElementById('tags').addEventListener('change', syncTagColorInput);
+  document.getElementById('addPreAlert').addEventListener('click', () => addPreAlertRow());
+  document.getElementById('addSequenceStep').addEventListener('click', () => addSequenceStepRow());
+  document.getElementById('webhookOn').addEventListener('change', onWebhookToggle);
+  document.getElementById('webhookPreset').addEventListener('change', onWebhookPresetChange);
+  document.getElementById('webhookTemplate').addEventListener('input', () => {
+    document.getElementById('webhookPreset').value = webhookPresetOf(document.getElementById('webhookTemplate').value);
+  });
+  document.getElementById('savePreset').addEventListener('click', savePresetFromForm);
+  document.getElementById('presetList').addEventListener('click', onPresetAction);
+  document.getElementById('shareImportConfirm').addEventListener('click', confirmShareImport);
+  document.getElementById('shareImportCancel').addEventListener('click', () => document.getElementById('shareDialog').close());
+  bindListControls();
   document.getElementById('requestPermission').addEventListener('click', requestPermission);
   document.getElementById('installPWA').addEventListener('click', installPWA);
+  bindSettings();
+  resetWebhookInputs();
+  syncClock();
+  setInterval(syncClock, TIME_SYNC_INTERVAL_MS);
+  window.addEventListener('online', syncClock);
 
   // attempt service worker registration
   if ('serviceWorker' in navigator) {
     try {
       const reg = await navigator.serviceWorker.register('/sw.js');
       console.log('SW registered', reg);
+      watchServiceWorkerUpdate(reg);
       // try to register periodic sync if available
       if ('periodicSync' in reg) {
         try {
@@ -53,8 +113,49 @@ async function init(){
     document.getElementById('installPWA').style.display = 'inline-block';
   });
 
+  await initStore();
+  mirrorSettings();
+  migrateStoredItems();
+  await refreshSoundOptions();
   loadList();
-  scheduleAllFromStorage();
+  renderPresets();
+  handleIncomingShare();
+  bindTabSync();
+  // 見逃した通知の処理と発火はリーダーのタブになってから（他のタブが開いていれば待つ）
+  electLeader();
+  scheduler.watchWake();
+  updateLiveView();
+  setInterval(updateLiveView, LIVE_TICK_MS);
+  schedulePushSync();
+}
+
+// 新しい SW が待機状態になったら「更新があります」バナーを出す
+// （SW は自分では切り替わらないので、ボタンで skipWaiting を依頼 → controllerchange で再読み込み）
+function watchServiceWorkerUpdate(reg){
+  const banner = document.getElementById('updateBanner');
+  let waiting = null;
+  const show = (worker) => {
+    waiting = worker;
+    banner.hidden = false;
+  };
+  if (reg.waiting && navigator.serviceWorker.controller) show(reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const worker = reg.installing;
+    worker?.addEventListener('statechange', () => {
+      // controller がない = 初回インストールなので更新ではない
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) show(worker);
+    });
+  });
+  document.getElementById('updateReload').addEventListener('click', () => {
+    if (waiting) waiting.postMessage({type: 'skipWaiting'});
+    else location.reload();
+  });
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !waiting) return;
+    reloading = true;
+    location.reload();
+  });
 }
 
 // UI helpers
@@ -62,12 +163,47 @@ function onModeChange(e){
   const v = e.target.value;
   document.getElementById('afterInputs').style.display = v === 'after' ? '' : 'none';
   document.getElementById('atInputs').style.display = v === 'at' ? '' : 'none';
+  document.getElementById('sequenceInputs').style.display = v === 'sequence' ? '' : 'none';
+  if (v === 'sequence' && !document.querySelector('#sequenceStepList .sequence-step')) addSequenceStepRow();
 }
 
 function onRepeatAtChange(e){
   const v = e.target.value;
   document.getElementById('weeklySelect').style.display = v === 'weekly' ? '' : 'none';
   document.getElementById('monthlySelect').style.display = v === 'monthly' ? '' : 'none';
+  document.getElementById('nthWeekdaySelect').style.display = v === 'nthWeekday' ? '' : 'none';
+  document.getElementById('intervalSelect').style.display = v === 'interval' ? '' : 'none';
+  document.getElementById('ruleSelect').style.display = v === 'rule' ? '' : 'none';
+  document.getElementById('startDateInput').style.display = v === 'none' || v === 'interval' || v === 'rule' ? '' : 'none';
+  if (v === 'rule') updateRulePreview();
+}
+
+// 詳細ルール（cron / RRULE）の入力中に説明か誤りを表示
+function updateRulePreview(){
+  const expr = document.getElementById('ruleExpr').value;
+  const preview = document.getElementById('rulePreview');
+  if (!expr.trim()) { preview.textContent = ''; return; }
+  const item = readAtFields();
+  item.repeatAt = 'rule';
+  item.rule = expr;
+  try {
+    parseRecurrenceRule(expr, item);
+    preview.textContent = describeRecurrence(item);
+  } catch (e) {
+    preview.textContent = e.message;
+  }
+}
+
+// フォームの「at」関連の値（検証前）
+function readAtFields(){
+  const hr = parseInt(document.getElementById('hourAt').value);
+  const min = parseInt(document.getElementById('minuteAt').value);
+  return {
+    mode: 'at',
+    at: {hour: Number.isNaN(hr) ? 0 : hr, minute: Number.isNaN(min) ? 0 : min},
+    tz: normalizeTimeZone(document.getElementById('timezone').value),
+    startDate: document.getElementById('startDate').value || undefined
+  };
 }
 
 function installPWA(){
@@ -90,128 +226,540 @@ async function requestPermission(){
   else alert('通知が許可されませんでした。');
 }
 
+// settings（localStorage の ns_settings にまとめて保存）
+// Service Worker は localStorage を読めないので、IndexedDB にも写しを置きます（mirrorSettings）
+function loadSettings(){
+  try {
+    return {...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}')};
+  } catch (e) { return {...DEFAULT_SETTINGS}; }
+}
+function saveSetting(key, value){
+  const settings = loadSettings();
+  settings[key] = value;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  mirrorSettings();
+}
+
+// 設定画面の入力欄を保存済みの設定に合わせる（復元・他のタブでの変更のあと）
+function renderSettingsValues(){
+  const settings = loadSettings();
+  document.getElementById('catchUpPolicy').value = settings.catchUpPolicy;
+  document.getElementById('soundToggle').checked = settings.soundEnabled;
+  renderQuietHoursSettings();
+  document.getElementById('historyLimit').value = settings.historyLimit;
+  document.getElementById('timeSource').value = settings.timeSource;
+  document.getElementById('pushServerUrl').value = settings.pushServer;
+  document.getElementById('webhookDefaultUrl').value = settings.webhookDefaultUrl;
+  document.getElementById('webhookDefaultPreset').value = settings.webhookDefaultPreset;
+  renderPresets();
+}
+function mirrorSettings(){
+  if (storeBackend !== 'idb') return;
+  // SW も同じ補正済みの時刻で発火するように、測った時計のずれも一緒に置く
+  dbPutSettings({...loadSettings(), clockOffset: timeSync.offset}).catch(e => console.warn('設定の写しを保存できませんでした', e));
+}
+
+function bindSettings(){
+  const settings = loadSettings();
+  const soundToggle = document.getElementById('soundToggle');
+  soundToggle.checked = settings.soundEnabled;
+  soundToggle.addEventListener('change', () => saveSetting('soundEnabled', soundToggle.checked));
+  document.getElementById('soundUploadBtn').addEventListener('click', () => document.getElementById('soundFile').click());
+  document.getElementById('soundFile').addEventListener('change', onSoundFileSelected);
+
+  // おやすみ時間
+  renderQuietHoursSettings();
+  document.getElementById('quietHoursSettings').addEventListener('change', onQuietHoursChange);
+
+  const policy = document.getElementById('catchUpPolicy');
+  policy.value = settings.catchUpPolicy;
+  policy.addEventListener('change', () => saveSetting('catchUpPolicy', policy.value));
+  document.getElementById('missedClose').addEventListener('click', () => document.getElementById('missedDialog').close());
+
+  // iCalendar
+  document.getElementById('icsExport').addEventListener('click', exportICS);
+  document.getElementById('icsImportBtn').addEventListener('click', () => document.getElementById('icsFile').click());
+  document.getElementById('icsFile').addEventListener('change', onICSFileSelected);
+  document.getElementById('icsImportConfirm').addEventListener('click', confirmICSImport);
+  document.getElementById('icsImportCancel').addEventListener('click', () => document.getElementById('icsDialog').close());
+
+  // JSON バックアップ
+  document.getElementById('backupExport').addEventListener('click', exportBackup);
+  document.getElementById('backupImportBtn').addEventListener('click', () => document.getElementById('backupFile').click());
+  document.getElementById('backupFile').addEventListener('change', onBackupFileSelected);
+  document.querySelectorAll('input[name=restoreMode]').forEach(r => r.addEventListener('change', renderRestorePreview));
+  document.getElementById('restoreConfirm').addEventListener('click', confirmRestore);
+  document.getElementById('restoreCancel').addEventListener('click', () => document.getElementById('backupDialog').close());
+
+  // Web Push
+  const pushToggle = document.getElementById('pushToggle');
+  const pushServer = document.getElementById('pushServerUrl');
+  pushToggle.checked = settings.pushEnabled;
+  pushServer.value = settings.pushServer;
+  pushToggle.addEventListener('change', onPushToggle);
+  pushServer.addEventListener('change', () => { saveSetting('pushServer', pushServer.value.trim()); schedulePushSync(); });
+  document.getElementById('pushTest').addEventListener('click', sendTestPush);
+
+  // Webhook
+  const webhookDefaultUrl = document.getElementById('webhookDefaultUrl');
+  const webhookDefaultPreset = document.getElementById('webhookDefaultPreset');
+  webhookDefaultUrl.value = settings.webhookDefaultUrl;
+  webhookDefaultPreset.value = settings.webhookDefaultPreset;
+  webhookDefaultUrl.addEventListener('change', () => saveSetting('webhookDefaultUrl', webhookDefaultUrl.value.trim()));
+  webhookDefaultPreset.addEventListener('change', () => saveSetting('webhookDefaultPreset', webhookDefaultPreset.value));
+  document.getElementById('webhookTest').addEventListener('click', sendTestWebhook);
+
+  // 履歴
+  const historyLimit = document.getElementById('historyLimit');
+  historyLimit.value = settings.historyLimit;
+  historyLimit.addEventListener('change', onHistoryLimitChange);
+  ['historyItem', 'historyFrom', 'historyTo'].forEach(id => document.getElementById(id).addEventListener('change', renderHistory));
+  document.getElementById('historyExport').addEventListener('click', exportHistoryCSV);
+
+  // 時刻の補正
+  const timeSource = document.getElementById('timeSource');
+  timeSource.value = settings.timeSource;
+  timeSource.addEventListener('change', onTimeSourceChange);
+  document.getElementById('timeSyncNow').addEventListener('click', syncClock);
+  renderTimeSyncStatus();
+}
+
 // storage helpers
-function loadNotifications(){
+// loadNotifications / saveNotifications は同期的にメモリ上のコピーを読み書きし、
+// IndexedDB への書き込みは persistQueue で順番に行います。
+async function initStore(){
+  try {
+    notificationsCache = await dbGetAllNotifications();
+    await migrateFromLocalStorage();
+  } catch (e) {
+    console.warn('IndexedDB を利用できないため localStorage に保存します', e);
+    storeBackend = 'localStorage';
+    notificationsCache = readLocalStorageList();
+  }
+}
+
+function readLocalStorageList(){
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return [];
     return JSON.parse(raw);
   } catch (e) { return []; }
 }
+
+// 旧バージョン（localStorage）からの一回限りの移行
+async function migrateFromLocalStorage(){
+  if (localStorage.getItem(STORAGE_KEY) === null) return;
+  const known = new Set(notificationsCache.map(x => x.id));
+  const legacy = readLocalStorageList().filter(x => x && x.id && !known.has(x.id));
+  for (const item of legacy) await dbPutNotification(item);
+  localStorage.removeItem(STORAGE_KEY);
+  notificationsCache = await dbGetAllNotifications();
+  if (legacy.length) console.log(`localStorage から ${legacy.length} 件の通知を移行しました`);
+}
+
+// Service Worker など他所での変更を取り込む
+async function reloadFromStore(){
+  if (storeBackend !== 'idb') return;
+  await persistQueue;
+  notificationsCache = await dbGetAllNotifications();
+  loadList();
+  scheduleAllFromStorage();
+  scheduleQuietRelease();
+}
+
+function loadNotifications(){
+  return structuredClone(notificationsCache);
+}
 function saveNotifications(list){
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
-  // notify SW about updated list (best-effort)
-  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-    navigator.serviceWorker.controller.postMessage({type:'updateNotifications'});
-  }
+  const before = new Map(notificationsCache.map(x => [x.id, JSON.stringify(x)]));
+  notificationsCache = structuredClone(list);
+  const snapshot = structuredClone(list);
+  // IndexedDB には変わった通知だけを書く（他のタブが書いた別の通知を上書きしない）
+  const puts = snapshot.filter(x => before.get(x.id) !== JSON.stringify(x));
+  const ids = new Set(snapshot.map(x => x.id));
+  const deleteIds = [...before.keys()].filter(id => !ids.has(id));
+  persistQueue = persistQueue
+    .then(() => storeBackend === 'idb'
+      ? dbApplyNotificationChanges(puts, deleteIds)
+      : localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot)))
+    .then(() => { if (puts.length || deleteIds.length) broadcastChange('notificationsChanged'); })
+    .catch(e => console.error('通知の保存に失敗しました', e));
+  schedulePushSync();
+  return persistQueue;
+}
+
+// 旧データ（数値オフセットの tz や欠けた項目）を現在の形に揃える（backup.js の migrateItem）
+function migrateStoredItems(){
+  const list = loadNotifications();
+  const migrated = list.map(migrateItem);
+  if (JSON.stringify(migrated) !== JSON.stringify(list)) saveNotifications(migrated);
 }
 
 function generateId(){
   return 'n_' + Date.now() + '_' + Math.floor(Math.random()*10000);
 }
 
-// create handler
-function onCreate(e){
-  e.preventDefault();
-  const msg = document.getElementById('message').value.trim();
-  if (!msg) return alert('メッセージを入力してください');
+// create / edit handler
+// editingId が入っている間はフォームが既存通知の編集モードになります
+let editingId = null;
 
-  const mode = document.getElementById('mode').value;
-  const tz = document.getElementById('timezone').value;
-  const notifyType = document.getElementById('notifyType').value;
-  const soundOn = document.getElementById('soundToggle')?.checked ?? true;
+// フォームの入力 -> 通知の設定（id・有効/停止・履歴・次回時刻は含まない）
+// 入力に誤りがあればエラーメッセージ（文字列）を返す。登録・更新とプリセットの保存で使う
+function readCreateForm(){
+  const msg = document.getElementById('message').value.trim();
+  if (!msg) return 'メッセージを入力してください';
 
+  const repeatSec = Math.min(3600, Math.max(0, parseInt(document.getElementById('soundRepeat').value) || 0));
   const item = {
-    id: generateId(),
     message: msg,
-    mode,
-    notifyType,
-    tz,
-    soundOn,
-    createdAt: Date.now(),
-    enabled: true
+    mode: document.getElementById('mode').value,
+    notifyType: document.getElementById('notifyType').value,
+    tz: normalizeTimeZone(document.getElementById('timezone').value),
+    soundOn: document.getElementById('soundOn')?.checked ?? true,
+    sound: {
+      id: document.getElementById('soundId').value || DEFAULT_SOUND.id,
+      volume: (parseInt(document.getElementById('soundVolume').value) || 0) / 100,
+      // 短すぎると鳴りっぱなしになるので下限を設ける
+      repeatSec: repeatSec ? Math.max(MIN_SOUND_REPEAT_SEC, repeatSec) : 0
+    },
+    tags: parseTags(document.getElementById('tags').value),
+    quietPolicy: document.getElementById('quietPolicy').value
   };
 
-  if (mode === 'after') {
+  if (document.getElementById('webhookOn').checked) {
+    const webhook = {url: document.getElementById('webhookUrl').value.trim(), template: document.getElementById('webhookTemplate').value};
+    const urlError = webhookUrlError(webhook.url);
+    if (urlError) return urlError;
+    try { renderWebhookPayload(webhook.template, webhookVariables(item, Date.now(), null)); } catch (err) { return `Webhook の${err.message}`; }
+    item.webhook = webhook;
+  }
+
+  if (item.mode === 'sequence') {
+    const steps = readSequenceRows();
+    if (typeof steps === 'string') return steps;
+    item.sequence = {steps, repeat: document.getElementById('sequenceRepeat').checked, index: 0, round: 0};
+    return item;
+  }
+
+  if (item.mode === 'after') {
     const h = Math.max(0, parseInt(document.getElementById('hours').value) || 0);
     const m = Math.max(0, parseInt(document.getElementById('minutes').value) || 0);
     const loop = Math.max(0, parseInt(document.getElementById('loopCount').value) || 0);
     item.after = {hours:h, minutes:m, loopCount: loop, remainingLoops: loop};
-    // compute nextTime in ms
-    item.nextTime = Date.now() + ((h*60 + m) * 60 * 1000);
-  } else {
-    const hr = parseInt(document.getElementById('hourAt').value);
-    const min = parseInt(document.getElementById('minuteAt').value);
-    if (Number.isNaN(hr) || Number.isNaN(min)) return alert('時刻を入力してください');
-    item.at = {hour: hr, minute: min};
-    item.repeatAt = document.getElementById('repeatAt').value;
-    if (item.repeatAt === 'weekly') {
-      const checked = Array.from(document.querySelectorAll('#weeklySelect input[type=checkbox]:checked')).map(c => parseInt(c.value));
-      if (!checked.length) return alert('曜日を1つ以上選択してください');
-      item.weekdays = checked;
-    } else if (item.repeatAt === 'monthly') {
-      const day = parseInt(document.getElementById('monthDay').value);
-      if (!day || day < 1 || day > 31) return alert('正しい日付を入力してください (1-31)');
-      item.monthDay = day;
-    }
-    // compute nextTime considering timezone
-    item.nextTime = computeNextAtTime(item.at.hour, item.at.minute, item.repeatAt, item.weekdays, item.monthDay, item.tz);
+    return item;
   }
 
-  // save
+  const hr = parseInt(document.getElementById('hourAt').value);
+  const min = parseInt(document.getElementById('minuteAt').value);
+  item.repeatAt = document.getElementById('repeatAt').value;
+  // cron は式に時刻を含むので時刻欄は空でもよい
+  const cronRule = item.repeatAt === 'rule' && !/^(RRULE:)?FREQ=/i.test(document.getElementById('ruleExpr').value.trim());
+  if (!cronRule && (Number.isNaN(hr) || Number.isNaN(min))) return '時刻を入力してください';
+  item.at = {hour: Number.isNaN(hr) ? 0 : hr, minute: Number.isNaN(min) ? 0 : min};
+  if (item.repeatAt === 'weekly') {
+    const checked = Array.from(document.querySelectorAll('#weeklySelect input[type=checkbox]:checked')).map(c => parseInt(c.value));
+    if (!checked.length) return '曜日を1つ以上選択してください';
+    item.weekdays = checked;
+  } else if (item.repeatAt === 'monthly') {
+    const day = parseInt(document.getElementById('monthDay').value);
+    if (!day || day < 1 || day > 31) return '正しい日付を入力してください (1-31)';
+    item.monthDay = day;
+  } else if (item.repeatAt === 'nthWeekday') {
+    item.nthWeekday = {
+      nth: parseInt(document.getElementById('nthWeek').value),
+      weekday: parseInt(document.getElementById('nthWeekdayDay').value)
+    };
+  } else if (item.repeatAt === 'interval') {
+    const every = parseInt(document.getElementById('intervalEvery').value);
+    if (!every || every < 1) return '間隔は1以上で入力してください';
+    item.interval = {every, unit: document.getElementById('intervalUnit').value};
+  } else if (item.repeatAt === 'rule') {
+    item.rule = document.getElementById('ruleExpr').value.trim();
+  }
+  if (item.repeatAt === 'interval' || item.repeatAt === 'rule') {
+    // 起点日（省略時はそのゾーンの今日）
+    item.startDate = document.getElementById('startDate').value || formatDateString(getZonedParts(appNow(), item.tz));
+  } else if (item.repeatAt === 'none') {
+    // 一度だけの日付（省略時は今日のその時刻・過ぎていれば明日）
+    item.startDate = document.getElementById('startDate').value || undefined;
+  }
+  if (item.repeatAt === 'rule') {
+    try { parseRecurrenceRule(item.rule, item); } catch (err) { return err.message; }
+  }
+  const preAlerts = readPreAlertRows();
+  if (typeof preAlerts === 'string') return preAlerts;
+  item.preAlerts = preAlerts;
+  return item;
+}
+
+function onCreate(e){
+  e.preventDefault();
+  const config = readCreateForm();
+  if (typeof config === 'string') return alert(config);
+
   const list = loadNotifications();
-  list.push(item);
+  const original = editingId ? list.find(x => x.id === editingId) : null;
+  if (editingId && !original) {
+    alert('編集中の通知が見つかりません（削除された可能性があります）');
+    return cancelEdit();
+  }
+
+  // 編集時は id / createdAt / history / enabled を引き継ぐ
+  const item = {
+    id: original ? original.id : generateId(),
+    ...config,
+    createdAt: original ? original.createdAt : Date.now(),
+    enabled: original ? original.enabled : true
+  };
+  if (original && original.history) item.history = original.history;
+
+  // compute nextTime（「at」はタイムゾーン・繰り返しを考慮）
+  item.nextTime = computeInitialNextTime(item, appNow());
+  if (item.nextTime === null) return alert('この設定では次に通知する日時がありません');
+  // 予告は今より後のものだけ鳴らす（編集時も計算し直す）
+  resetPreAlerts(item, appNow());
+
+  // save
+  // 色の入力欄が表しているのは先頭のタグの色（syncTagColorInput）なので、ほかのタグの色は変えない
+  if (item.tags.length) saveTagColors(item.tags.slice(0, 1), document.getElementById('tagColor').value);
+  if (original) list[list.indexOf(original)] = item;
+  else list.push(item);
   saveNotifications(list);
   loadList();
+  // scheduleNotification はキュー内の古い予定を置き換える
   scheduleNotification(item);
-  document.getElementById('createForm').reset();
-  onModeChange({target:document.getElementById('mode')});
-  alert('通知を登録しました');
-}
-
-// computing next occurrence for "at" mode (minutes precision)
-function computeNextAtTime(hour, minute, repeatAt, weekdays, monthDay, tz) {
-  // Use Date in specified timezone by creating a Date for now in UTC then shifting by timezone offset using Intl
-  // Simpler approach: compute based on local time but adjust to chosen timezone by using Date.toLocaleString
-  const now = new Date();
-  // Convert "now" to the target timezone hour/minute by leveraging Intl
-  // We'll compute target time in the timezone, then convert to epoch ms
-  function toTZDate(year, monthIndex, day, h, m, tz) {
-    // Build an ISO string like "YYYY-MM-DDTHH:MM:SS" and interpret in that timezone by using Date.toLocaleString hack
-    // Because JS cannot easily create a Date directly in a named timezone, we'll compute the offset difference.
-    // Simpler fallback: assume tz is same as current environment (best-effort). For robust tz handling, use a library like dayjs/timezone.
-    const d = new Date(year, monthIndex, day, h, m, 0, 0);
-    return d.getTime();
-  }
-
-  // find candidate next date
-  let candidate = new Date();
-  candidate.setHours(hour, minute, 0, 0);
-  if (candidate.getTime() <= now.getTime()) {
-    // move to next day
-    candidate.setDate(candidate.getDate() + 1);
-  }
-
-  if (repeatAt === 'none') {
-    return candidate.getTime();
-  } else if (repeatAt === 'weekly' && Array.isArray(weekdays) && weekdays.length) {
-    // find next day matching one of weekdays (0=Sun)
-    for (let i=0;i<14;i++){
-      const d = new Date();
-      d.setDate(now.getDate() + i);
-      d.setHours(hour, minute,0,0);
-      if (d.getTime() > now.getTime() && weekdays.includes(d.getDay())) return d.getTime();
+  resetCreateForm();
+  alert(original ? '通知を更新しました' : '通知を登録しました');
+}
+
+// 既存の通知をフォームに読み込んで編集モードにする
+function startEdit(id){
+  const item = loadNotifications().find(x => x.id === id);
+  if (!item) return;
+  resetCreateForm();
+  editingId = id;
+  fillCreateForm(item);
+  document.querySelector('#createForm button[type=submit]').textContent = '更新する';
+  document.getElementById('cancelEdit').style.display = '';
+  document.getElementById('create').scrollIntoView({behavior:'smooth'});
+}
+
+// 通知（またはプリセット・共有リンクのテンプレート）の設定をフォームに入れる
+function fillCreateForm(item){
+  document.getElementById('message').value = item.message || '';
+  document.getElementById('mode').value = ['after', 'at', 'sequence'].includes(item.mode) ? item.mode : 'after';
+  document.getElementById('notifyType').value = NOTIFY_TYPES.includes(item.notifyType) ? item.notifyType : 'browser';
+  document.getElementById('timezone').value = normalizeTimeZone(item.tz);
+  document.getElementById('soundOn').checked = item.soundOn !== false;
+  document.getElementById('tags').value = (item.tags || []).join(', ');
+  document.getElementById('quietPolicy').value = QUIET_POLICIES.includes(item.quietPolicy) ? item.quietPolicy : DEFAULT_QUIET_POLICY;
+  syncTagColorInput();
+  const sound = {...DEFAULT_SOUND, ...item.sound};
+  document.getElementById('soundId').value = soundExists(sound.id) ? sound.id : DEFAULT_SOUND.id;
+  document.getElementById('soundVolume').value = Math.round(sound.volume * 100);
+  document.getElementById('soundRepeat').value = sound.repeatSec;
+  updateVolumeLabel();
+  document.getElementById('webhookOn').checked = !!item.webhook;
+  if (item.webhook) {
+    document.getElementById('webhookUrl').value = item.webhook.url;
+    document.getElementById('webhookTemplate').value = item.webhook.template;
+    document.getElementById('webhookPreset').value = webhookPresetOf(item.webhook.template);
+  }
+  onWebhookToggle();
+
+  if (item.mode === 'after' && item.after) {
+    document.getElementById('hours').value = item.after.hours;
+    document.getElementById('minutes').value = item.after.minutes;
+    document.getElementById('loopCount').value = item.after.loopCount;
+  } else if (item.mode === 'sequence' && item.sequence) {
+    item.sequence.steps.forEach(addSequenceStepRow);
+    document.getElementById('sequenceRepeat').checked = !!item.sequence.repeat;
+  } else if (item.mode === 'at' && item.at) {
+    document.getElementById('hourAt').value = item.at.hour;
+    document.getElementById('minuteAt').value = item.at.minute;
+    document.getElementById('repeatAt').value = item.repeatAt || 'none';
+    document.querySelectorAll('#weeklySelect input[type=checkbox]').forEach(c => {
+      c.checked = (item.weekdays || []).includes(parseInt(c.value));
+    });
+    if (item.monthDay) document.getElementById('monthDay').value = item.monthDay;
+    if (item.nthWeekday) {
+      document.getElementById('nthWeek').value = item.nthWeekday.nth;
+      document.getElementById('nthWeekdayDay').value = item.nthWeekday.weekday;
     }
-    return candidate.getTime();
-  } else if (repeatAt === 'monthly' && monthDay) {
-    // next month day
-    let d = new Date(now.getFullYear(), now.getMonth(), monthDay, hour, minute,0,0);
-    if (d.getTime() <= now.getTime()) {
-      d = new Date(now.getFullYear(), now.getMonth()+1, monthDay, hour, minute,0,0);
+    if (item.interval) {
+      document.getElementById('intervalEvery').value = item.interval.every;
+      document.getElementById('intervalUnit').value = item.interval.unit;
     }
-    return d.getTime();
+    document.getElementById('startDate').value = item.startDate || '';
+    if (item.rule) document.getElementById('ruleExpr').value = item.rule;
+    (item.preAlerts || []).forEach(addPreAlertRow);
   }
-  return candidate.getTime();
+
+  onModeChange({target:document.getElementById('mode')});
+  onRepeatAtChange({target:document.getElementById('repeatAt')});
+}
+
+function cancelEdit(){
+  resetCreateForm();
+}
+
+function resetCreateForm(){
+  editingId = null;
+  document.getElementById('createForm').reset();
+  // reset() だと選択中のゾーンが初期値に戻るので保存済みのゾーンを復元
+  const savedTz = localStorage.getItem(TZ_STORAGE_KEY);
+  if (savedTz) document.getElementById('timezone').value = normalizeTimeZone(savedTz);
+  updateVolumeLabel();
+  resetWebhookInputs();
+  document.getElementById('preAlertList').innerHTML = '';
+  document.getElementById('sequenceStepList').innerHTML = '';
+  onModeChange({target:document.getElementById('mode')});
+  onRepeatAtChange({target:document.getElementById('repeatAt')});
+  document.querySelector('#createForm button[type=submit]').textContent = '登録する';
+  document.getElementById('cancelEdit').style.display = 'none';
+}
+
+// ===== 一覧の絞り込み・並べ替え・一括操作 =====
+// 絞り込みの状態は保存しない（ページを開き直すと全件表示に戻る）
+const listView = {query: '', enabled: 'all', mode: 'all', tag: '', sort: 'created'};
+const selectedIds = new Set();
+
+function bindListControls(){
+  const bind = (id, key, type = 'change') => document.getElementById(id).addEventListener(type, e => {
+    listView[key] = e.target.value;
+    loadList();
+  });
+  bind('listSearch', 'query', 'input');
+  bind('filterEnabled', 'enabled');
+  bind('filterMode', 'mode');
+  bind('filterTag', 'tag');
+  bind('listSort', 'sort');
+  document.getElementById('selectAll').addEventListener('change', e => {
+    visibleItems().forEach(x => e.target.checked ? selectedIds.add(x.id) : selectedIds.delete(x.id));
+    loadList();
+  });
+  document.getElementById('bulkEnable').addEventListener('click', () => bulkSetEnabled(true));
+  document.getElementById('bulkDisable').addEventListener('click', () => bulkSetEnabled(false));
+  document.getElementById('bulkDelete').addEventListener('click', bulkDelete);
+  document.getElementById('bulkShare').addEventListener('click', () => shareItems(loadNotifications().filter(x => selectedIds.has(x.id))));
+}
+
+// "イベント, 毎日、 仕事" -> ['イベント', '毎日', '仕事']
+function parseTags(text){
+  const tags = String(text || '').split(/[,、]/).map(t => t.trim().slice(0, MAX_TAG_LENGTH)).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+// 色が未設定のタグは名前から決まった色にする（毎回同じ色になるように）
+function tagColor(tag){
+  const saved = loadSettings().tagColors[tag];
+  if (saved) return saved;
+  let hash = 0;
+  for (const ch of tag) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+function saveTagColors(tags, color){
+  const colors = {...loadSettings().tagColors};
+  tags.forEach(t => { colors[t] = color; });
+  saveSetting('tagColors', colors);
+}
+
+// タグ欄の1つ目のタグの色を色の欄に反映
+function syncTagColorInput(){
+  const [first] = parseTags(document.getElementById('tags').value);
+  document.getElementById('tagColor').value = first ? tagColor(first) : TAG_PALETTE[0];
+}
+
+function allTags(list){
+  return Array.from(new Set(list.flatMap(x => x.tags || []))).sort((a, b) => a.localeCompare(b, 'ja'));
+}
+
+function tagChip(tag){
+  return `<span class="tag-chip" style="--tag-color:${escapeHtml(tagColor(tag))}">${escapeHtml(tag)}</span>`;
+}
+
+function visibleItems(list = loadNotifications()){
+  const query = listView.query.trim().toLowerCase();
+  const items = list.filter(x =>
+    (!query || x.message.toLowerCase().includes(query) || (x.tags || []).some(t => t.toLowerCase().includes(query)))
+    && (listView.enabled === 'all' || (listView.enabled === 'enabled') === !!x.enabled)
+    && (listView.mode === 'all' || x.mode === listView.mode)
+    && (!listView.tag || (x.tags || []).includes(listView.tag)));
+  if (listView.sort === 'next') {
+    // 停止中・次回なしは後ろ
+    const key = x => x.enabled && Number.isFinite(effectiveNextTime(x)) ? effectiveNextTime(x) : Infinity;
+    items.sort((a, b) => key(a) - key(b));
+  }
+  return items;
+}
+
+// タグの選択肢（フィルター・入力候補）を作り直す
+function renderTagOptions(list){
+  const tags = allTags(list);
+  if (listView.tag && !tags.includes(listView.tag)) listView.tag = '';
+  const filter = document.getElementById('filterTag');
+  filter.innerHTML = '<option value="">すべてのタグ</option>' + tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+  filter.value = listView.tag;
+  document.getElementById('tagPresets').innerHTML = tags.map(t => `<option value="${escapeHtml(t)}"></option>`).join('');
+}
+
+function renderBulkBar(visible){
+  // 削除済みの id は選択から外す
+  const ids = new Set(loadNotifications().map(x => x.id));
+  selectedIds.forEach(id => { if (!ids.has(id)) selectedIds.delete(id); });
+  const selectAll = document.getElementById('selectAll');
+  const visibleSelected = visible.filter(x => selectedIds.has(x.id)).length;
+  selectAll.checked = visible.length > 0 && visibleSelected === visible.length;
+  selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visible.length;
+  document.getElementById('selectionCount').textContent = selectedIds.size ? `${selectedIds.size}件選択中` : '';
+  ['bulkEnable', 'bulkDisable', 'bulkDelete', 'bulkShare'].forEach(id => { document.getElementById(id).disabled = !selectedIds.size; });
+}
+
+// 有効化: nextTime を今から計算し直す（次回がなければ false）
+function enableItem(item){
+  if (item.mode === 'after') item.after.remainingLoops = item.after.loopCount;
+  if (item.mode === 'sequence') restartSequence(item);
+  const next = computeInitialNextTime(item, appNow());
+  if (next === null) return false;
+  item.nextTime = next;
+  item.enabled = true;
+  delete item.snooze;
+  resetPreAlerts(item, appNow());
+  return true;
+}
+
+function disableItem(item){
+  item.enabled = false;
+  delete item.snooze;
+}
+
+function bulkSetEnabled(enabled){
+  const list = loadNotifications();
+  const targets = list.filter(x => selectedIds.has(x.id) && !!x.enabled !== enabled);
+  const failed = [];
+  targets.forEach(item => {
+    if (!enabled) disableItem(item);
+    else if (!enableItem(item)) failed.push(item);
+  });
+  saveNotifications(list);
+  // scheduler.schedule は停止中なら予定を取り消す
+  targets.forEach(scheduleNotification);
+  loadList();
+  if (failed.length) alert(`次に通知する日時がないため有効にできませんでした:\n${failed.map(x => x.message).join('\n')}`);
+}
+
+function bulkDelete(){
+  const ids = new Set(selectedIds);
+  if (!ids.size || !confirm(`選択した${ids.size}件の通知を削除しますか？`)) return;
+  saveNotifications(loadNotifications().filter(x => !ids.has(x.id)));
+  ids.forEach(id => {
+    scheduler.cancel(id);
+    stopSoundRepeat(id);
+  });
+  if (editingId && ids.has(editingId)) resetCreateForm();
+  selectedIds.clear();
+  loadList();
 }
 
 // load and render list
@@ -219,12 +767,36 @@ function loadList(){
   const list = loadNotifications();
   const lc = document.getElementById('listContainer');
   lc.innerHTML = '';
+  renderHistory();
+  renderTagOptions(list);
+  const visible = visibleItems(list);
+  renderBulkBar(visible);
   if (!list.length) { lc.innerHTML = '<p class="muted">登録された通知はありません。</p>'; return; }
-  list.forEach(item => {
+  if (!visible.length) { lc.innerHTML = '<p class="muted">条件に合う通知はありません。</p>'; return; }
+  visible.forEach(item => {
     const el = document.createElement('div');
-    el.className = 'notification-item';
+    el.className = 'notification-item' + (item.enabled ? '' : ' is-disabled');
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.className = 'item-select';
+    select.checked = selectedIds.has(item.id);
+    select.setAttribute('aria-label', '選択');
+    select.onchange = () => {
+      select.checked ? selectedIds.add(item.id) : selectedIds.delete(item.id);
+      renderBulkBar(visibleItems());
+    };
     const left = document.createElement('div');
-    left.innerHTML = `<div><strong>${escapeHtml(item.message)}</strong></div><div class="meta">${new Date(item.nextTime).toLocaleString()}</div>`;
+    left.className = 'notification-body';
+    const snooze = item.enabled && item.snooze ? `<div class="meta">スヌーズ中: ${escapeHtml(formatInZone(item.snooze.until, VIEWER_TZ))}</div>` : '';
+    const tags = (item.tags || []).length ? `<div class="tag-list">${item.tags.map(tagChip).join('')}</div>` : '';
+    const next = effectiveNextTime(item);
+    const countdown = item.enabled && Number.isFinite(next) ? `<div class="meta countdown" data-countdown="${next}">${formatCountdown(next - appNow())}</div>` : '';
+    const loop = item.mode === 'after' && item.after.loopCount > 0
+      ? `<div class="meta">ループ ${item.after.loopCount - item.after.remainingLoops + 1}/${item.after.loopCount}</div>` : '';
+    const sequence = item.mode === 'sequence' ? describeSequencePosition(item) : '';
+    const preAlerts = item.mode === 'at' && (item.preAlerts || []).length
+      ? `<div class="meta">予告: ${item.preAlerts.map(p => `${p.minutes}分前`).join('・')}</div>` : '';
+    left.innerHTML = `<div><strong>${escapeHtml(item.message)}</strong>${item.enabled ? '' : ' <span class="muted">（停止中）</span>'}</div>${tags}<div class="meta">${escapeHtml(describeRecurrence(item))}</div><div class="meta">${isSequencePaused(item) ? `一時停止中（${formatCountdown(item.sequence.pausedRemaining)}）` : formatItemTime(item)}</div>${countdown}${loop}${sequence}${preAlerts}${snooze}`;
     const right = document.createElement('div');
     right.className = 'notification-actions';
     const toggleBtn = document.createElement('button');
@@ -232,81 +804,155 @@ function loadList(){
     toggleBtn.onclick = () => { toggleEnable(item.id); };
     const editBtn = document.createElement('button');
     editBtn.textContent = '編集';
-    editBtn.onclick = () => { alert('編集機能は後で追加できます（今は削除→再登録で対応）'); };
+    editBtn.onclick = () => { startEdit(item.id); };
+    const shareBtn = document.createElement('button');
+    shareBtn.textContent = '共有';
+    shareBtn.onclick = () => { shareItems([item]); };
+    const historyBtn = document.createElement('button');
+    historyBtn.textContent = '履歴';
+    historyBtn.onclick = () => { showHistoryFor(item.id); };
     const delBtn = document.createElement('button');
     delBtn.textContent = '削除';
     delBtn.onclick = () => { deleteNotification(item.id); };
-    right.appendChild(toggleBtn); right.appendChild(editBtn); right.appendChild(delBtn);
-    el.appendChild(left); el.appendChild(right);
+    right.appendChild(toggleBtn);
+    if (item.mode === 'sequence' && item.enabled) {
+      const pauseBtn = document.createElement('button');
+      pauseBtn.textContent = isSequencePaused(item) ? '再開' : '一時停止';
+      pauseBtn.onclick = () => { toggleSequencePause(item.id); };
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = '次のステップへ';
+      skipBtn.onclick = () => { skipSequenceStep(item.id); };
+      right.appendChild(pauseBtn); right.appendChild(skipBtn);
+    }
+    right.appendChild(editBtn); right.appendChild(shareBtn); right.appendChild(historyBtn); right.appendChild(delBtn);
+    el.appendChild(select); el.appendChild(left); el.appendChild(right);
     lc.appendChild(el);
   });
 }
 
+// 通知のゾーンと閲覧者のゾーンの両方で時刻を表示（オフセットが同じなら1つだけ）
+// 「after」は経過時間なのでこの端末のゾーンのみ
+function formatItemTime(item){
+  const tz = item.mode === 'at' ? normalizeTimeZone(item.tz) : VIEWER_TZ;
+  const own = `${escapeHtml(formatInZone(item.nextTime, tz))} (${escapeHtml(tz)})`;
+  if (tz === VIEWER_TZ || getTZOffset(item.nextTime, tz) === getTZOffset(item.nextTime, VIEWER_TZ)) return own;
+  return `${own}<br>${escapeHtml(formatInZone(item.nextTime, VIEWER_TZ))} (この端末: ${escapeHtml(VIEWER_TZ)})`;
+}
+
+// 起動時: アプリを閉じていた間に過ぎた発火時刻を catchUpPolicy に従って処理し、
+// 繰り返しの通知は次の未来の発火時刻まで進めます（少しの遅れは通常どおり発火）
+async function catchUpMissed(now = appNow()){
+  const list = loadNotifications();
+  const {missed, changed} = advanceMissed(list, now);
+  if (!changed) return;
+  // 先に進めた状態を保存してから発火（fireNotification が履歴を追記するため）
+  saveNotifications(list);
+  await notifyMissed(missed);
+}
+
+// list の過ぎた発火時刻を数えながら次の未来の発火時刻まで進める（list を書き換えます。保存はしない）
+// missed = [{item, times: [{time, message}]}]。message はその回の本文（シーケンスは進める前のステップのメッセージ）
+function advanceMissed(list, now){
+  const missed = [];
+  let changed = false;
+  list.forEach(item => {
+    if (!item.enabled || !effectiveNextTime(item) || effectiveNextTime(item) >= now - MISSED_GRACE_MS) return;
+    const times = [];
+    while (item.enabled && effectiveNextTime(item) < now && times.length < MAX_CATCH_UP) {
+      const t = effectiveNextTime(item);
+      // 過ぎた予告（◯分前）は今さら鳴らしても意味がないので数えない
+      if (upcomingAlert(item).kind !== 'pre') times.push({time: t, message: alertMessage(item)});
+      // 発火予定だった時刻を基準に進める（after のループ間隔・at の繰り返しを保つ）
+      advanceAfterFire(item, t);
+    }
+    if (item.enabled && effectiveNextTime(item) < now) advanceAfterFire(item, now);
+    changed = true;
+    if (times.length) missed.push({item, times});
+  });
+  return {missed, changed};
+}
+
+// 見逃した分を catchUpPolicy に従って通知し、一覧をダイアログで見せる
+async function notifyMissed(missed){
+  if (!missed.length) return;
+  const policy = loadSettings().catchUpPolicy;
+  if (policy !== 'skip') {
+    for (const {item, times} of missed) {
+      const targets = policy === 'each' ? times : times.slice(-1);
+      for (const {time, message} of targets) {
+        const extra = policy === 'once' && times.length > 1 ? ` ほか${times.length - 1}回` : '';
+        await fireNotification({...item, nextTime: time}, {message: `${message}（見逃し: ${formatInZone(time, VIEWER_TZ)}${extra}）`});
+      }
+    }
+  }
+  showMissedSummary(missed, policy);
+}
+
+function showMissedSummary(missed, policy){
+  const labels = {skip: '通知せずに次回から再開しました', once: 'それぞれ1回だけ通知しました', each: '見逃した回数分通知しました'};
+  const rows = missed.map(({item, times}) => {
+    const shown = times.slice(-5).map(({time, message}) => {
+      const step = message !== item.message ? ` ${message}` : '';
+      return `<li>${escapeHtml(formatInZone(time, VIEWER_TZ) + step)}</li>`;
+    }).join('');
+    const more = times.length > 5 ? `<li class="muted">ほか${times.length - 5}回</li>` : '';
+    return `<div class="missed-item"><strong>${escapeHtml(item.message)}</strong> <span class="muted">${times.length}回</span><ul>${more}${shown}</ul></div>`;
+  });
+  document.getElementById('missedPolicy').textContent = labels[policy] || '';
+  document.getElementById('missedList').innerHTML = rows.join('');
+  document.getElementById('missedDialog').showModal();
+}
+
 // schedule existing notifications on load
 function scheduleAllFromStorage(){
+  if (!isLeader) return;
   const list = loadNotifications();
+  scheduler.clear();
   list.forEach(scheduleNotification);
 }
 
 function scheduleNotification(item){
-  // clear existing
-  if (timeouts.has(item.id)) {
-    clearTimeout(timeouts.get(item.id));
-    timeouts.delete(item.id);
-  }
-  if (!item.enabled) return;
-
-  const now = Date.now();
-  const delay = Math.max(0, item.nextTime - now);
-  // minimum resolution minute; convert ms to minute-granularity
-  const msDelay = delay;
-  // don't schedule huge delays? setTimeout supports large delays but SW might be better — still we schedule
-  const tid = setTimeout(async () => {
-    // Fire notification
-    await fireNotification(item);
-    // handle rescheduling
-    if (item.mode === 'after') {
-      // if loopCount>0 - decrement and reschedule
-      if (item.after.loopCount > 0) {
-        if (item.after.remainingLoops > 1) {
-          item.after.remainingLoops -= 1;
-          item.nextTime = Date.now() + ((item.after.hours*60 + item.after.minutes) * 60 * 1000);
-          updateItem(item);
-          scheduleNotification(item);
-        } else {
-          // last loop done; disable if loopCount was >0 and remaining now 1 => after showing we finish
-          item.enabled = false;
-          updateItem(item);
-        }
-      } else {
-        // not looping
-        item.enabled = false;
-        updateItem(item);
-      }
-    } else if (item.mode === 'at') {
-      if (item.repeatAt === 'none') {
-        item.enabled = false;
-        updateItem(item);
-      } else {
-        // compute nextTime again
-        item.nextTime = computeNextAtTime(item.at.hour, item.at.minute, item.repeatAt, item.weekdays, item.monthDay, item.tz);
-        updateItem(item);
-        scheduleNotification(item);
-      }
-    }
-  }, msDelay);
-  timeouts.set(item.id, tid);
+  // 発火はリーダーのタブだけ。他のタブの変更は保存の知らせ（bindTabSync）を受けてリーダーが入れ直す
+  if (!isLeader) return;
+  // 既存の予定は置き換え、無効なら取り消し
+  scheduler.schedule(item);
 }
 
 // show notification (browser + in-page)
-async function fireNotification(item){
+// firedAt は履歴の ts になり、通知のアクション（スヌーズ／完了）がどの発火に対するものかを表します
+// options.message: 呼び出し側で決めた本文（見逃した回の通知など）。あればスヌーズ・シーケンスの本文で上書きしない
+async function fireNotification(item, options = {}){
+  const firedAt = appNow();
+  // スヌーズの再通知
+  const snoozed = item.snooze && item.snooze.until <= firedAt && effectiveNextTime(item) === item.snooze.until;
+  if (snoozed && !options.message) item = {...item, message: `${item.message}（スヌーズ）`};
+  // 予告（◯分前）: 本文はテンプレートから。スヌーズボタンと音の繰り返しはなし
+  const upcoming = upcomingAlert(item);
+  const preAlert = upcoming && upcoming.kind === 'pre' && upcoming.time <= firedAt ? upcoming.preAlert : null;
+  if (preAlert) item = {...item, message: formatPreAlert(item, preAlert), sound: {...DEFAULT_SOUND, ...item.sound, repeatSec: 0}};
+  // シーケンス: 終わったステップのメッセージ
+  else if (options.message) item = {...item, message: options.message};
+  else if (item.mode === 'sequence' && upcoming && upcoming.kind === 'main') item = {...item, message: alertMessage(item, upcoming)};
+  // おやすみ時間中: 保留（終わったらまとめて通知）／破棄は表示せず履歴にだけ残す
+  const quiet = quietDecision(item, loadSettings().quietHours, firedAt);
+  if (quiet === 'hold' || quiet === 'drop') {
+    appendHistoryEntry(item, firedAt, 'none', quiet === 'hold' ? 'held' : 'dropped', preAlert);
+    if (quiet === 'hold') scheduleQuietRelease();
+    // おやすみ時間はこの端末の都合なので Webhook は送る
+    if (item.webhook && !snoozed) deliverWebhook(item, firedAt, preAlert);
+    return;
+  }
+  // 実際に表示できた経路を履歴に残す（通知が許可されていなければブラウザ通知は出ない）
+  let shownBrowser = false, shownPopup = false;
   // Browser Notification via Notification API (and via SW showNotification)
   if ((item.notifyType === 'browser' || item.notifyType === 'both')) {
     if (Notification.permission === 'granted') {
+      shownBrowser = true;
       // if service worker controller exists, try to show via SW for better background behavior
+      // （SW 経由ならスヌーズ／完了ボタン付きになる）
       if (navigator.serviceWorker && navigator.serviceWorker.controller) {
         try {
-          navigator.serviceWorker.controller.postMessage({type:'showNotification', payload:item});
+          navigator.serviceWorker.controller.postMessage({type:'showNotification', payload:{...item, firedAt, silent: quiet === 'silent', plain: !!preAlert}});
         } catch (e) {
           // fallback
           new Notification(item.message);
@@ -319,38 +965,67 @@ async function fireNotification(item){
 
   // in-page LINE風 popup
   if (item.notifyType === 'popup' || item.notifyType === 'both') {
-    showInPageNotif(item);
+    showInPageNotif(item, firedAt, !!preAlert);
+    shownPopup = true;
   }
 
-  // sound
-  if (item.soundOn && document.getElementById('soundToggle')?.checked) {
-    try { ding.currentTime = 0; ding.play(); } catch(e){}
-  }
+  // sound（繰り返し設定があれば確認されるまで鳴らし続ける）
+  if (quiet !== 'silent') startSound(item, firedAt);
 
   // Save to history (append history meta)
-  appendHistoryEntry(item);
+  const delivery = shownBrowser && shownPopup ? 'both' : shownBrowser ? 'browser' : shownPopup ? 'popup' : 'none';
+  appendHistoryEntry(item, firedAt, delivery, quiet === 'silent' ? 'silent' : undefined, preAlert);
+  // スヌーズの再通知は本人向けなので送らない。再送を待つ間も次の発火を止めないよう await しない
+  if (item.webhook && !snoozed) deliverWebhook(item, firedAt, preAlert);
 }
 
 // in-page notification UI
-function showInPageNotif(item){
+// 自動では消さず、スヌーズ／完了／閉じる のいずれかを押すまで残します（SW 通知のボタンと同じ）
+// 予告（isPreAlert）にはスヌーズボタンを出さない
+function showInPageNotif(item, firedAt, isPreAlert = false){
   const d = document.createElement('div');
   d.className = 'notif';
-  d.innerHTML = `<div class="icon">🔔</div><div class="body"><p>${escapeHtml(item.message)}</p><span>${new Date().toLocaleString()}</span></div>`;
+  const snooze = isPreAlert ? '' : '<button data-action="snooze5">5分後</button><button data-action="snooze15">15分後</button>';
+  d.innerHTML = `<div class="icon">🔔</div><div class="body"><p>${escapeHtml(item.message)}</p><span>${new Date(firedAt).toLocaleString()}</span></div>`
+    + `<div class="notif-actions">${snooze}<button data-action="done">完了</button><button data-action="close" aria-label="閉じる">✕</button></div>`;
+  d.querySelectorAll('.notif-actions button').forEach(btn => {
+    btn.onclick = () => {
+      if (btn.dataset.action !== 'close') handleNotificationAction(item.id, btn.dataset.action, firedAt);
+      // 閉じただけでも見たことにはなるので音の繰り返しは止める
+      stopSoundRepeat(item.id);
+      dismissInPageNotif(d);
+    };
+  });
   notifArea.prepend(d);
-  // auto dismiss after 4s
-  setTimeout(()=> {
-    d.style.animation = 'notifOut 0.3s forwards';
-    setTimeout(()=> d.remove(), 300);
-  }, 4000);
+}
+
+function dismissInPageNotif(d){
+  d.style.animation = 'notifOut 0.3s forwards';
+  setTimeout(()=> d.remove(), 300);
+}
+
+// スヌーズ／完了（ページ内ポップアップから。SW 通知のボタンは sw.js 側で同じ処理をします）
+function handleNotificationAction(id, action, firedAt){
+  const item = loadNotifications().find(x => x.id === id);
+  if (!item) return;
+  applyNotificationAction(item, action, firedAt, appNow());
+  stopSoundRepeat(id);
+  updateItem(item);
+  scheduleNotification(item);
 }
 
 // append history (we'll add a small history array in the item)
-function appendHistoryEntry(item){
+// quiet: おやすみ時間による扱い（held / dropped / silent）。held なら保留の一覧にも入れる
+// preAlert: 予告として鳴らしたとき（履歴に何分前の予告かを残す）
+function appendHistoryEntry(item, ts = appNow(), delivery = 'none', quiet, preAlert){
   const list = loadNotifications();
   const idx = list.findIndex(x => x.id === item.id);
   if (idx >= 0) {
-    list[idx].history = list[idx].history || [];
-    list[idx].history.push({ts: Date.now(), message: item.message});
+    const entry = {ts, message: item.message, delivery};
+    if (quiet) entry.quiet = quiet;
+    if (preAlert) entry.preAlert = preAlert.minutes;
+    appendHistory(list[idx], entry, loadSettings().historyLimit);
+    if (quiet === 'held') holdFiring(list[idx], ts);
     saveNotifications(list);
     loadList();
   }
@@ -370,98 +1045,1041 @@ function deleteNotification(id){
   if (!confirm('この通知を削除しますか？')) return;
   const list = loadNotifications().filter(x => x.id !== id);
   saveNotifications(list);
+  if (editingId === id) resetCreateForm();
   loadList();
-  if (timeouts.has(id)) {
-    clearTimeout(timeouts.get(id));
-    timeouts.delete(id);
-  }
+  scheduler.cancel(id);
+  stopSoundRepeat(id);
 }
 
 function toggleEnable(id){
   const list = loadNotifications();
   const idx = list.findIndex(x => x.id === id);
   if (idx>=0) {
-    list[idx].enabled = !list[idx].enabled;
-    if (list[idx].enabled) {
+    if (!list[idx].enabled) {
       // recompute nextTime for safety
-      if (list[idx].mode === 'after') {
-        list[idx].nextTime = Date.now() + ((list[idx].after.hours*60 + list[idx].after.minutes)*60*1000);
-        list[idx].after.remainingLoops = list[idx].after.loopCount;
-      } else {
-        list[idx].nextTime = computeNextAtTime(list[idx].at.hour, list[idx].at.minute, list[idx].repeatAt, list[idx].weekdays, list[idx].monthDay, list[idx].tz);
-      }
+      if (!enableItem(list[idx])) return alert('この設定では次に通知する日時がありません');
       saveNotifications(list);
       scheduleNotification(list[idx]);
     } else {
+      disableItem(list[idx]);
       saveNotifications(list);
-      if (timeouts.has(id)) { clearTimeout(timeouts.get(id)); timeouts.delete(id); }
+      scheduler.cancel(id);
     }
     loadList();
   }
 }
 
-// Utility
-function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+// ===== シーケンス =====
+// ステップの進め方・一時停止は recurrence.js（SW・push-server と共用）。位置は通知と一緒に保存されます
+function addSequenceStepRow(step = {minutes: 25, message: ''}){
+  const row = document.createElement('div');
+  row.className = 'sequence-step';
+  row.innerHTML = `<input type="number" class="sequence-minutes" min="1" max="10080" value="${escapeHtml(step.minutes)}" aria-label="分" />`
+    + `<span>分</span>`
+    + `<input type="text" class="sequence-message" value="${escapeHtml(step.message)}" placeholder="例: 休憩しましょう" aria-label="このステップが終わったときのメッセージ" />`
+    + `<button type="button" class="btn btn-secondary" aria-label="このステップを削除">✕</button>`;
+  row.querySelector('button').onclick = () => row.remove();
+  document.getElementById('sequenceStepList').appendChild(row);
+}
+
+// 入力欄 -> [{minutes, message}]（入力順）。不正ならエラーメッセージ（文字列）を返す
+function readSequenceRows(){
+  const rows = Array.from(document.querySelectorAll('#sequenceStepList .sequence-step'));
+  if (!rows.length) return 'ステップを1つ以上追加してください';
+  if (rows.length > MAX_SEQUENCE_STEPS) return `ステップは${MAX_SEQUENCE_STEPS}個までです`;
+  const steps = [];
+  for (const row of rows) {
+    const minutes = parseInt(row.querySelector('.sequence-minutes').value);
+    const message = row.querySelector('.sequence-message').value.trim();
+    if (!(minutes >= 1 && minutes <= 10080)) return 'ステップの時間は1〜10080分で入力してください';
+    if (!message) return 'ステップのメッセージを入力してください';
+    steps.push({minutes, message});
+  }
+  return steps;
+}
 
+function describeSequencePosition(item){
+  const {steps, index, round, repeat} = item.sequence;
+  const step = currentStep(item);
+  const rounds = repeat && round ? ` · ${round + 1}周目` : '';
+  return `<div class="meta">ステップ ${(index || 0) + 1}/${steps.length}: ${escapeHtml(step.message)}（${step.minutes}分）${rounds}</div>`;
+}
 
-// send notifications list to SW on demand
-navigator.serviceWorker?.addEventListener('message', (e) => {
-  // handle messages from sw if needed
-  // console.log('SW->client', e.data);
-});
+function updateSequence(id, change){
+  const list = loadNotifications();
+  const item = list.find(x => x.id === id);
+  if (!item || item.mode !== 'sequence' || !item.enabled) return;
+  change(item, appNow());
+  saveNotifications(list);
+  // 一時停止中は effectiveNextTime が null なので予定から外れる
+  scheduleNotification(item);
+  loadList();
+}
+
+function toggleSequencePause(id){
+  updateSequence(id, (item, now) => isSequencePaused(item) ? resumeSequence(item, now) : pauseSequence(item, now));
+}
+
+// 今のステップを通知せずに終わらせて次へ（最後のステップで繰り返しなしなら終了）
+function skipSequenceStep(id){
+  updateSequence(id, (item, now) => advanceSequence(item, now));
+}
+
+// ===== 共有リンク・プリセット =====
+// リンクの形式・テンプレートへの変換は share.js。プリセットは設定（presets）に保存するのでバックアップにも含まれます
+let shareCandidates = [];
 
-// Expose method for SW to request current notifications (SW cannot access localStorage)
-navigator.serviceWorker?.addEventListener('message', async (event) => {
-  // if SW asks for list, reply
-  if (event.data && event.data.type === 'requestNotifications') {
-    const list = loadNotifications();
-    // send to SW
-    if (navigator.serviceWorker.controller) {
-      navigator.serviceWorker.controller.postMessage({type:'deliverNotifications', payload:list});
+// 共有シート → クリップボード → 手でコピー の順に試す
+async function shareItems(items){
+  if (!items.length) return;
+  const url = buildShareUrl(items, location.href);
+  const title = items.length === 1 ? items[0].message : `通知 ${items.length}件`;
+  if (navigator.share) {
+    try { return await navigator.share({title, url}); } catch (e) {
+      if (e.name === 'AbortError') return;
     }
   }
+  try {
+    await navigator.clipboard.writeText(url);
+    alert('共有リンクをコピーしました');
+  } catch (e) {
+    prompt('共有リンク（コピーしてください）', url);
+  }
+}
+
+// 起動時: 共有リンク（#share=）ならフォームか取り込み画面へ、
+// 共有ターゲット（manifest.json の share_target: ?title=&text=&url=）ならメッセージ欄へ
+function handleIncomingShare(){
+  const params = new URLSearchParams(location.search);
+  const sharedText = [...new Set(['title', 'text', 'url'].map(k => (params.get(k) || '').trim()).filter(Boolean))];
+  let templates = null;
+  try {
+    templates = parseShareHash(location.hash);
+  } catch (e) {
+    alert(e.message);
+    templates = [];
+  }
+  if (!templates && !sharedText.length) return;
+  // 再読み込みで同じ共有がもう一度開かないように URL から外す
+  history.replaceState(null, '', location.pathname);
+
+  if (templates && templates.length === 1) {
+    loadTemplateIntoForm(templates[0]);
+  } else if (templates && templates.length) {
+    shareCandidates = templates.map(t => templateToItem(t, generateId(), appNow()));
+    renderShareImport();
+    document.getElementById('shareDialog').showModal();
+  } else if (sharedText.length) {
+    resetCreateForm();
+    document.getElementById('message').value = sharedText.join(' ');
+    document.getElementById('create').scrollIntoView({behavior:'smooth'});
+  }
+}
+
+function loadTemplateIntoForm(template){
+  resetCreateForm();
+  fillCreateForm(template);
+  document.getElementById('create').scrollIntoView({behavior:'smooth'});
+}
+
+function renderShareImport(){
+  const rows = shareCandidates.map((c, i) => {
+    if (c.errors.length) {
+      return `<label class="ics-row is-error"><input type="checkbox" disabled /> <span><strong>${escapeHtml(c.item.message || '(メッセージなし)')}</strong><br><span class="muted">取り込めません: ${escapeHtml(c.errors.join(' / '))}</span></span></label>`;
+    }
+    return `<label class="ics-row"><input type="checkbox" data-index="${i}" checked /> <span><strong>${escapeHtml(c.item.message)}</strong><br><span class="muted">${escapeHtml(describeRecurrence(c.item))} / ${escapeHtml(formatInZone(c.item.nextTime, c.item.tz))} (${escapeHtml(c.item.tz)})</span></span></label>`;
+  });
+  const count = shareCandidates.filter(c => !c.errors.length).length;
+  document.getElementById('shareSummary').textContent = `${shareCandidates.length}件中 ${count}件を登録できます`;
+  document.getElementById('sharePreview').innerHTML = rows.join('');
+}
+
+function confirmShareImport(){
+  const added = Array.from(document.querySelectorAll('#sharePreview input[type=checkbox]:checked'))
+    .map(c => shareCandidates[parseInt(c.dataset.index)].item);
+  document.getElementById('shareDialog').close();
+  shareCandidates = [];
+  if (!added.length) return;
+  saveNotifications(loadNotifications().concat(added));
+  loadList();
+  added.forEach(scheduleNotification);
+  alert(`${added.length}件の通知を登録しました`);
+}
+
+// 今のフォームの入力をプリセットに保存
+function savePresetFromForm(){
+  const config = readCreateForm();
+  if (typeof config === 'string') return alert(config);
+  const name = prompt('プリセットの名前', config.message);
+  if (name === null) return;
+  const preset = {id: 'p_' + Date.now() + '_' + Math.floor(Math.random()*10000), name: name.trim() || config.message, template: itemToTemplate(config)};
+  saveSetting('presets', loadSettings().presets.concat(preset));
+  renderPresets();
+}
+
+function renderPresets(){
+  const presets = loadSettings().presets;
+  document.getElementById('presetList').innerHTML = presets.length
+    ? presets.map(p => `<div class="preset-row"><span><strong>${escapeHtml(p.name)}</strong><br><span class="muted">${escapeHtml(describeRecurrence(p.template))}</span></span>`
+      + `<span class="notification-actions"><button type="button" data-action="create" data-id="${escapeHtml(p.id)}">作成</button>`
+      + `<button type="button" data-action="fill" data-id="${escapeHtml(p.id)}">フォームへ</button>`
+      + `<button type="button" data-action="delete" data-id="${escapeHtml(p.id)}">削除</button></span></div>`).join('')
+    : '<p class="muted">保存したプリセットはありません。</p>';
+}
+
+function onPresetAction(e){
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const presets = loadSettings().presets;
+  const preset = presets.find(p => p.id === btn.dataset.id);
+  if (!preset) return;
+  if (btn.dataset.action === 'fill') return loadTemplateIntoForm(preset.template);
+  if (btn.dataset.action === 'delete') {
+    if (!confirm(`プリセット「${preset.name}」を削除しますか？`)) return;
+    saveSetting('presets', presets.filter(p => p !== preset));
+    return renderPresets();
+  }
+  // ワンクリックで登録（「after」は今から、「at」は次の発生日時から）
+  const {item, errors} = templateToItem(preset.template, generateId(), appNow());
+  if (errors.length) return alert(`登録できません: ${errors.join(' / ')}`);
+  saveNotifications(loadNotifications().concat(item));
+  loadList();
+  scheduleNotification(item);
+  alert(`「${item.message}」を登録しました`);
+}
+
+// ===== iCalendar（.ics）の書き出し・読み込み =====
+let icsCandidates = [];
+
+function exportICS(){
+  const list = loadNotifications();
+  if (!list.length) return alert('書き出す通知がありません');
+  downloadFile(`notifications-${formatDateString(getZonedParts(Date.now(), VIEWER_TZ))}.ics`, buildICS(list), 'text/calendar');
+}
+
+async function onICSFileSelected(e){
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    icsCandidates = markICSDuplicates(parseICS(await file.text(), appNow()));
+  } catch (err) {
+    return alert(`読み込みに失敗しました: ${err.message}`);
+  }
+  renderICSPreview();
+  document.getElementById('icsDialog').showModal();
+}
+
+// 登録済み（UID か内容が同じ）とファイル内の重複を判定
+function icsDedupKey(item){
+  return [item.message, item.mode, normalizeTimeZone(item.tz), describeRecurrence(item)].join('|');
+}
+
+function markICSDuplicates(candidates){
+  const list = loadNotifications();
+  const uids = new Set(list.flatMap(x => [x.icsUid, `${x.id}@${ICS_UID_DOMAIN}`]).filter(Boolean));
+  const keys = new Set(list.map(icsDedupKey));
+  return candidates.map(c => {
+    if (c.error) return c;
+    const key = icsDedupKey(c.item);
+    const duplicate = (c.uid && uids.has(c.uid)) || keys.has(key);
+    if (c.uid) uids.add(c.uid);
+    keys.add(key);
+    return {...c, duplicate};
+  });
+}
+
+function renderICSPreview(){
+  const rows = icsCandidates.map((c, i) => {
+    if (c.error) {
+      return `<label class="ics-row is-error"><input type="checkbox" disabled /> <span><strong>${escapeHtml(c.summary || c.uid || '(名称なし)')}</strong><br><span class="muted">取り込めません: ${escapeHtml(c.error)}</span></span></label>`;
+    }
+    const status = c.duplicate ? '登録済み（スキップ）' : `${escapeHtml(formatInZone(c.item.nextTime, c.item.tz))} (${escapeHtml(c.item.tz)})`;
+    return `<label class="ics-row"><input type="checkbox" data-index="${i}" ${c.duplicate ? '' : 'checked'} /> <span><strong>${escapeHtml(c.item.message)}</strong><br><span class="muted">${escapeHtml(describeRecurrence(c.item))} / ${status}</span></span></label>`;
+  });
+  const count = icsCandidates.filter(c => !c.error && !c.duplicate).length;
+  document.getElementById('icsSummary').textContent = `${icsCandidates.length}件中 ${count}件を新規登録できます`;
+  document.getElementById('icsPreview').innerHTML = rows.join('');
+}
+
+function confirmICSImport(){
+  const selected = Array.from(document.querySelectorAll('#icsPreview input[type=checkbox]:checked'))
+    .map(c => icsCandidates[parseInt(c.dataset.index)]);
+  document.getElementById('icsDialog').close();
+  if (!selected.length) return;
+
+  const list = loadNotifications();
+  const added = selected.map(c => ({
+    ...c.item,
+    id: generateId(),
+    notifyType: 'browser',
+    soundOn: true,
+    sound: {...DEFAULT_SOUND},
+    tags: [],
+    quietPolicy: DEFAULT_QUIET_POLICY,
+    createdAt: Date.now(),
+    enabled: true
+  }));
+  saveNotifications(list.concat(added));
+  loadList();
+  added.forEach(scheduleNotification);
+  alert(`${added.length}件の通知を登録しました`);
+}
+
+// ===== JSON バックアップ・復元 =====
+let pendingBackup = null;
+
+function exportBackup(){
+  const json = buildBackup(loadNotifications(), loadSettings());
+  downloadFile(`ns-backup-${formatDateString(getZonedParts(Date.now(), VIEWER_TZ))}.json`, json, 'application/json');
+}
+
+async function onBackupFileSelected(e){
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    pendingBackup = parseBackup(await file.text());
+  } catch (err) {
+    return alert(`読み込みに失敗しました: ${err.message}`);
+  }
+  document.querySelector('input[name=restoreMode][value=merge]').checked = true;
+  renderRestorePreview();
+  document.getElementById('backupDialog').showModal();
+}
+
+function restoreMode(){
+  return document.querySelector('input[name=restoreMode]:checked').value;
+}
+
+function renderRestorePreview(){
+  if (!pendingBackup) return;
+  const plan = planRestore(loadNotifications(), pendingBackup, restoreMode());
+  const section = (title, items, describe) => !items.length ? '' :
+    `<div class="restore-section"><strong>${title}（${items.length}件）</strong><ul>${items.map(x => `<li>${describe(x)}</li>`).join('')}</ul></div>`;
+  const name = item => escapeHtml(item.message);
+  document.getElementById('restoreSummary').textContent =
+    `バックアップ形式 v${pendingBackup.schemaVersion}${pendingBackup.schemaVersion < BACKUP_SCHEMA_VERSION ? '（現在の形式に変換して読み込みます）' : ''}`;
+  document.getElementById('restorePreview').innerHTML = [
+    section('追加', plan.added, name),
+    section('変更', plan.changed, name),
+    section('削除（置き換えのため）', plan.removed, name),
+    section('読み込めない項目（除外）', plan.invalid, e => `${escapeHtml(e.item?.message || '(不明)')}: ${escapeHtml(e.errors.join(' / '))}`),
+    plan.unchanged.length ? `<p class="muted">変更なし: ${plan.unchanged.length}件</p>` : ''
+  ].join('') || '<p class="muted">変更はありません。</p>';
+}
+
+async function confirmRestore(){
+  const mode = restoreMode();
+  const plan = planRestore(loadNotifications(), pendingBackup, mode);
+  if (mode === 'replace' && pendingBackup.settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({...DEFAULT_SETTINGS, ...pendingBackup.settings}));
+    mirrorSettings();
+    renderSettingsValues();
+  }
+  pendingBackup = null;
+  document.getElementById('backupDialog').close();
+  if (editingId && !plan.result.some(x => x.id === editingId)) resetCreateForm();
+  // バックアップの nextTime は過去になっていることがあるので、起動時と同じく catchUpPolicy で処理してから保存する
+  // （そのまま予約すると期限切れの通知が一斉に鳴る）
+  const {missed} = advanceMissed(plan.result, appNow());
+  saveNotifications(plan.result);
+  loadList();
+  scheduleAllFromStorage();
+  scheduleQuietRelease();
+  alert(`復元しました（追加 ${plan.added.length}件 / 変更 ${plan.changed.length}件 / 削除 ${plan.removed.length}件）`);
+  await notifyMissed(missed);
+}
+
+// ===== Web Push（push-server/ のローカルサーバー）=====
+// 購読と通知一覧をサーバーに送り、サーバーが nextTime にプッシュを送ります。一覧は保存のたびに同期します。
+let pushSyncTimer = null;
+
+function pushServerBase(){
+  return (loadSettings().pushServer || '').replace(/\/+$/, '') || location.origin;
+}
+
+async function pushRequest(path, method, body){
+  const res = await fetch(pushServerBase() + path, {
+    method,
+    headers: body ? {'Content-Type': 'application/json'} : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!res.ok) throw Object.assign(new Error(`プッシュサーバーの応答: ${res.status}`), {status: res.status});
+  return res.json();
+}
+
+function urlBase64ToUint8Array(base64){
+  const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+// 履歴はサーバーに送らない
+function pushPayload(){
+  return loadNotifications().map(({history, ...item}) => item);
+}
+
+function setPushStatus(text){
+  document.getElementById('pushStatus').textContent = text;
+}
+
+async function onPushToggle(e){
+  const on = e.target.checked;
+  try {
+    if (on) await enablePush();
+    else await disablePush();
+    setPushStatus(on ? `購読中（${pushServerBase()}）` : '');
+  } catch (err) {
+    console.warn('Web Push の切り替えに失敗しました', err);
+    e.target.checked = !on;
+    setPushStatus(`失敗しました: ${err.message}`);
+  }
+}
+
+async function enablePush(){
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) throw new Error('このブラウザは Web Push に対応していません');
+  if (await Notification.requestPermission() !== 'granted') throw new Error('通知が許可されていません');
+  const reg = await navigator.serviceWorker.ready;
+  const {publicKey} = await pushRequest('/push/vapid-public-key', 'GET');
+  const key = urlBase64ToUint8Array(publicKey);
+  let sub = await reg.pushManager.getSubscription();
+  // サーバーの VAPID 鍵が変わっていたら購読し直す
+  const current = sub?.options?.applicationServerKey;
+  if (sub && current && new Uint8Array(current).join() !== key.join()) {
+    await sub.unsubscribe();
+    sub = null;
+  }
+  if (!sub) sub = await reg.pushManager.subscribe({userVisibleOnly: true, applicationServerKey: key});
+  await pushRequest('/push/subscribe', 'POST', {subscription: sub.toJSON(), notifications: pushPayload()});
+  saveSetting('pushEnabled', true);
+}
+
+async function disablePush(){
+  saveSetting('pushEnabled', false);
+  const reg = await navigator.serviceWorker?.ready;
+  const sub = await reg?.pushManager?.getSubscription();
+  if (!sub) return;
+  try {
+    await pushRequest('/push/unsubscribe', 'POST', {endpoint: sub.endpoint});
+  } catch (e) {
+    console.warn('サーバーからの購読解除に失敗しました', e);
+  }
+  await sub.unsubscribe();
+}
+
+// 保存が続いても1秒にまとめて送る
+function schedulePushSync(){
+  if (!loadSettings().pushEnabled) return;
+  clearTimeout(pushSyncTimer);
+  pushSyncTimer = setTimeout(() => syncPushSchedules().catch(e => console.warn('プッシュサーバーへの同期に失敗しました', e)), 1000);
+}
+
+async function syncPushSchedules(){
+  const reg = await navigator.serviceWorker.ready;
+  const sub = await reg.pushManager.getSubscription();
+  // 購読が失われた／サーバーが購読を忘れた場合は登録し直す
+  if (!sub) return enablePush();
+  try {
+    await pushRequest('/push/schedules', 'PUT', {endpoint: sub.endpoint, notifications: pushPayload()});
+  } catch (e) {
+    if (e.status === 404) return enablePush();
+    throw e;
+  }
+}
+
+async function sendTestPush(){
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    const sub = await reg.pushManager.getSubscription();
+    if (!sub) return setPushStatus('先に「プッシュサーバー経由で通知を受け取る」をオンにしてください');
+    await pushRequest('/push/test', 'POST', {endpoint: sub.endpoint});
+    setPushStatus('テスト通知を送りました');
+  } catch (e) {
+    setPushStatus(`テスト通知に失敗しました: ${e.message}`);
+  }
+}
+
+// ===== Webhook =====
+// 送信・再送・本文の組み立ては webhook.js（SW と共用）
+function onWebhookToggle(){
+  const on = document.getElementById('webhookOn').checked;
+  document.getElementById('webhookInputs').style.display = on ? '' : 'none';
+  // 初めてオンにしたときは設定の既定の送信先を入れる
+  const url = document.getElementById('webhookUrl');
+  if (on && !url.value) url.value = loadSettings().webhookDefaultUrl;
+}
+
+function onWebhookPresetChange(e){
+  const preset = WEBHOOK_PRESETS[e.target.value];
+  if (preset) document.getElementById('webhookTemplate').value = preset.template;
+}
+
+function resetWebhookInputs(){
+  const template = webhookPresetTemplate(loadSettings().webhookDefaultPreset);
+  document.getElementById('webhookTemplate').value = template;
+  document.getElementById('webhookPreset').value = webhookPresetOf(template);
+  onWebhookToggle();
+}
+
+// 送信し、結果を発火時刻の履歴に書き込む
+async function deliverWebhook(item, firedAt, preAlert){
+  const result = await sendWebhook(item.webhook, webhookVariables(item, firedAt, preAlert));
+  if (!result.ok) console.warn('Webhook の送信に失敗しました', item.id, result.error);
+  const list = loadNotifications();
+  const target = list.find(x => x.id === item.id);
+  if (!target || !recordWebhookResult(target, firedAt, result)) return;
+  saveNotifications(list);
+  loadList();
+}
+
+// 設定の既定の送信先に送る（再送なし）
+async function sendTestWebhook(){
+  const settings = loadSettings();
+  const status = document.getElementById('webhookStatus');
+  const urlError = webhookUrlError(settings.webhookDefaultUrl);
+  if (urlError) { status.textContent = urlError; return; }
+  status.textContent = '送信中…';
+  const sample = {id: 'ns-webhook-test', message: 'テスト通知（Webhook）', tz: VIEWER_TZ, tags: []};
+  const webhook = {url: settings.webhookDefaultUrl, template: webhookPresetTemplate(settings.webhookDefaultPreset)};
+  const result = await sendWebhook(webhook, webhookVariables(sample, appNow(), null), {retries: 0});
+  status.textContent = !result.ok ? `送信に失敗しました: ${result.error}`
+    : result.opaque ? '送信しました（この送信先は応答を確認できません）' : `送信しました（HTTP ${result.status}）`;
+}
+
+// ===== 通知履歴 =====
+// 発火ごとに、どの経路で表示したか・確認（完了／スヌーズ／通知を開く）したか、何秒後だったかを表示します
+const DELIVERY_LABELS = {browser: 'ブラウザ通知', popup: 'ポップアップ', both: '両方', none: '表示なし'};
+const SOURCE_LABELS = {sw: 'バックグラウンド', push: 'Web Push'};
+const QUIET_LABELS = {held: 'おやすみ時間のため保留', dropped: 'おやすみ時間のため通知せず', silent: 'おやすみ時間のため音なし'};
+const HISTORY_MAX_ROWS = 500; // 画面に出す行数の上限（CSV には全件）
+
+function showHistoryFor(id){
+  document.getElementById('historyItem').value = id;
+  renderHistory();
+  document.getElementById('history').scrollIntoView({behavior: 'smooth'});
+}
+
+// 最初の反応（完了／通知を開く／スヌーズのうち早いもの）
+function historyResponse(h){
+  const candidates = [];
+  if (h.ackAt) candidates.push({at: h.ackAt, label: h.ackAction === 'open' ? '通知を開いた' : '完了'});
+  if (h.snoozedAt) candidates.push({at: h.snoozedAt, label: `スヌーズ${h.snoozeMinutes}分`});
+  if (!candidates.length) return null;
+  const first = candidates.sort((a, b) => a.at - b.at)[0];
+  return {...first, latency: Math.max(0, first.at - h.ts)};
+}
+
+function formatDuration(ms){
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600), m = Math.floor(total % 3600 / 60), s = total % 60;
+  if (h) return `${h}時間${m}分`;
+  if (m) return `${m}分${s}秒`;
+  return `${s}秒`;
+}
+
+// 絞り込み条件に合う履歴（新しい順）
+function filteredHistory(){
+  const itemId = document.getElementById('historyItem').value;
+  const from = document.getElementById('historyFrom').value;
+  const to = document.getElementById('historyTo').value;
+  const fromTs = from ? new Date(`${from}T00:00`).getTime() : -Infinity;
+  const toTs = to ? new Date(`${to}T00:00`).getTime() + DAY_MS : Infinity;
+  const rows = [];
+  loadNotifications().forEach(item => {
+    if (itemId && item.id !== itemId) return;
+    (item.history || []).forEach(h => {
+      if (h.ts >= fromTs && h.ts < toTs) rows.push({item, h, response: historyResponse(h)});
+    });
+  });
+  return rows.sort((a, b) => b.h.ts - a.h.ts);
+}
+
+function renderHistory(){
+  const list = loadNotifications();
+  const select = document.getElementById('historyItem');
+  const selected = select.value;
+  select.innerHTML = '<option value="">すべての通知</option>'
+    + list.map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.message)}</option>`).join('');
+  select.value = list.some(x => x.id === selected) ? selected : '';
+
+  const rows = filteredHistory();
+  const stats = document.getElementById('historyStats');
+  const container = document.getElementById('historyList');
+  if (!rows.length) {
+    stats.textContent = '';
+    container.innerHTML = '<p class="muted">該当する履歴はありません。</p>';
+    return;
+  }
+  const responded = rows.filter(r => r.response);
+  const latencies = responded.map(r => r.response.latency).sort((a, b) => a - b);
+  const median = latencies.length ? latencies[Math.floor((latencies.length - 1) / 2)] : null;
+  stats.textContent = `発火 ${rows.length}回 / 確認 ${responded.length}回（${Math.round(responded.length / rows.length * 100)}%）`
+    + (median === null ? '' : ` / 確認までの中央値 ${formatDuration(median)}`);
+  container.innerHTML = rows.slice(0, HISTORY_MAX_ROWS).map(({item, h, response}) => {
+    const pre = h.preAlert ? ` · ${h.preAlert}分前の予告` : '';
+    const quiet = QUIET_LABELS[h.quiet] ? ` · ${QUIET_LABELS[h.quiet]}${h.releasedAt ? `→${formatInZone(h.releasedAt, VIEWER_TZ)}にまとめて通知` : ''}` : '';
+    const webhook = h.webhook === 'failed' ? ` · Webhook 失敗: ${h.webhookError}` : h.webhook === 'sent' ? ' · Webhook 送信済み' : '';
+    const delivery = (DELIVERY_LABELS[h.delivery] || '不明') + (SOURCE_LABELS[h.source] ? `（${SOURCE_LABELS[h.source]}）` : '') + pre + quiet + webhook;
+    const status = response ? `${response.label}（${formatDuration(response.latency)}後）` : '未確認';
+    return `<div class="history-row${response ? '' : ' is-unacked'}"><div><strong>${escapeHtml(h.message || item.message)}</strong>`
+      + `<div class="meta">${escapeHtml(formatInZone(h.ts, VIEWER_TZ))} · ${escapeHtml(delivery)}</div></div>`
+      + `<div class="history-status">${escapeHtml(status)}</div></div>`;
+  }).join('') + (rows.length > HISTORY_MAX_ROWS ? `<p class="muted">ほか${rows.length - HISTORY_MAX_ROWS}件（CSV にはすべて含まれます）</p>` : '');
+}
+
+function csvField(v){
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportHistoryCSV(){
+  const rows = filteredHistory();
+  if (!rows.length) return alert('書き出す履歴がありません');
+  const header = ['id', 'message', 'fired_at', 'delivery', 'source', 'quiet', 'released_at', 'pre_alert_minutes', 'webhook', 'webhook_error', 'response', 'responded_at', 'response_seconds'];
+  const lines = rows.map(({item, h, response}) => [
+    item.id,
+    h.message || item.message,
+    new Date(h.ts).toISOString(),
+    h.delivery || '',
+    h.source || 'page',
+    h.quiet || '',
+    h.releasedAt ? new Date(h.releasedAt).toISOString() : '',
+    h.preAlert || '',
+    h.webhook || '',
+    h.webhookError || '',
+    response ? (h.snoozedAt === response.at ? `snooze${h.snoozeMinutes}` : h.ackAction) : '',
+    response ? new Date(response.at).toISOString() : '',
+    response ? Math.round(response.latency / 1000) : ''
+  ].map(csvField).join(','));
+  // Excel で文字化けしないよう BOM を付ける
+  const csv = '\uFEFF' + [header.join(','), ...lines].join('\r\n') + '\r\n';
+  downloadFile(`ns-history-${formatDateString(getZonedParts(Date.now(), VIEWER_TZ))}.csv`, csv, 'text/csv');
+}
+
+// 保存件数を変えたら既存の履歴もすぐに切り詰める
+function onHistoryLimitChange(e){
+  const limit = Math.max(0, parseInt(e.target.value, 10) || 0);
+  e.target.value = limit;
+  saveSetting('historyLimit', limit);
+  const list = loadNotifications();
+  list.forEach(item => trimHistory(item, limit));
+  saveNotifications(list);
+  loadList();
+}
+
+// ===== カウントダウン・次の通知 =====
+// 一覧は作り直さず、loadList が data-countdown に入れた時刻から文字だけを毎秒書き換えます
+let nextUpKey = null;
+let lastBadgeCount = null;
+
+function formatCountdown(ms){
+  if (ms <= 0) return 'まもなく';
+  const total = Math.floor(ms / 1000);
+  const d = Math.floor(total / 86400), h = Math.floor(total % 86400 / 3600), m = Math.floor(total % 3600 / 60), s = total % 60;
+  const pad = n => String(n).padStart(2, '0');
+  if (d) return `あと ${d}日 ${h}時間`;
+  if (h) return `あと ${h}時間${pad(m)}分${pad(s)}秒`;
+  return `あと ${m}分${pad(s)}秒`;
+}
+
+function updateLiveView(){
+  const now = appNow();
+  // notificationsCache は読むだけ（毎秒 structuredClone しない）
+  const upcoming = notificationsCache
+    .filter(x => x.enabled && Number.isFinite(effectiveNextTime(x)))
+    .map(x => ({item: x, time: effectiveNextTime(x)}))
+    .sort((a, b) => a.time - b.time);
+  updateDueBadge(upcoming.filter(u => u.time - now <= DUE_SOON_MS).length);
+  if (document.hidden) return;
+
+  document.querySelectorAll('#listContainer [data-countdown]').forEach(el => {
+    el.textContent = formatCountdown(Number(el.dataset.countdown) - now);
+  });
+
+  const card = document.getElementById('nextUp');
+  const first = upcoming[0];
+  card.hidden = !first;
+  if (!first) { nextUpKey = null; return; }
+  // 対象が変わったときだけ本文を書き換える
+  const key = `${first.item.id}:${first.time}`;
+  if (key !== nextUpKey) {
+    nextUpKey = key;
+    document.getElementById('nextUpMessage').textContent = alertMessage(first.item);
+    document.getElementById('nextUpTime').textContent = formatInZone(first.time, VIEWER_TZ);
+  }
+  document.getElementById('nextUpCountdown').textContent = formatCountdown(first.time - now);
+  const soon = upcoming.filter(u => u.time - now <= DUE_SOON_MS).length;
+  document.getElementById('dueSoon').textContent = soon ? `1時間以内に${soon}件` : '';
+}
+
+// ページのタイトルとアプリのバッジ（Badging API）に1時間以内の件数を出す
+function updateDueBadge(count){
+  if (count === lastBadgeCount) return;
+  lastBadgeCount = count;
+  document.title = count ? `(${count}) ${BASE_TITLE}` : BASE_TITLE;
+  if ('setAppBadge' in navigator) {
+    (count ? navigator.setAppBadge(count) : navigator.clearAppBadge()).catch(() => {});
+  }
+}
+
+// ===== 予告通知の入力欄 =====
+function addPreAlertRow(preAlert = {minutes: 10, template: ''}){
+  const row = document.createElement('div');
+  row.className = 'pre-alert-row';
+  row.innerHTML = `<input type="number" class="pre-alert-minutes" min="1" max="10080" value="${escapeHtml(preAlert.minutes)}" aria-label="何分前" />`
+    + `<span>分前</span>`
+    + `<input type="text" class="pre-alert-template" value="${escapeHtml(preAlert.template || '')}" placeholder="${escapeHtml(DEFAULT_PRE_ALERT_TEMPLATE)}" aria-label="予告のメッセージ" />`
+    + `<button type="button" class="btn btn-secondary" aria-label="この予告を削除">✕</button>`;
+  row.querySelector('button').onclick = () => row.remove();
+  document.getElementById('preAlertList').appendChild(row);
+}
+
+// 入力欄 -> [{minutes, template}]（分の多い順）。不正ならエラーメッセージ（文字列）を返す
+function readPreAlertRows(){
+  const rows = Array.from(document.querySelectorAll('#preAlertList .pre-alert-row'));
+  const preAlerts = [];
+  for (const row of rows) {
+    const minutes = parseInt(row.querySelector('.pre-alert-minutes').value);
+    if (!(minutes >= 1 && minutes <= 10080)) return '予告は1〜10080分前で入力してください';
+    if (preAlerts.some(p => p.minutes === minutes)) return `予告の「${minutes}分前」が重複しています`;
+    preAlerts.push({minutes, template: row.querySelector('.pre-alert-template').value.trim() || DEFAULT_PRE_ALERT_TEMPLATE});
+  }
+  return preAlerts.sort((a, b) => b.minutes - a.minutes);
+}
+
+// ===== おやすみ時間 =====
+// 判定は quiethours.js（SW と共用）。保留分は時間帯が終わったらまとめて1件の通知にします
+let quietReleaseTimer = null;
+
+function renderQuietHoursSettings(){
+  const qh = {...DEFAULT_QUIET_HOURS, ...loadSettings().quietHours};
+  document.getElementById('quietEnabled').checked = qh.enabled;
+  document.getElementById('quietDays').innerHTML = WEEKDAY_LABELS.map((label, d) => {
+    const range = qh.days[d];
+    return `<div class="quiet-day">`
+      + `<label><input type="checkbox" data-day="${d}" ${range ? 'checked' : ''} /> ${label}曜日</label>`
+      + `<input type="time" data-day="${d}" data-edge="start" value="${range ? escapeHtml(range.start) : '22:00'}" aria-label="${label}曜日の開始" />`
+      + `<span>〜</span>`
+      + `<input type="time" data-day="${d}" data-edge="end" value="${range ? escapeHtml(range.end) : '07:00'}" aria-label="${label}曜日の終了" />`
+      + `</div>`;
+  }).join('');
+}
+
+function onQuietHoursChange(){
+  const days = WEEKDAY_LABELS.map((_, d) => {
+    if (!document.querySelector(`#quietDays input[type=checkbox][data-day="${d}"]`).checked) return null;
+    const start = document.querySelector(`#quietDays input[data-day="${d}"][data-edge="start"]`).value;
+    const end = document.querySelector(`#quietDays input[data-day="${d}"][data-edge="end"]`).value;
+    return parseClockString(start) && parseClockString(end) ? {start, end} : null;
+  });
+  saveSetting('quietHours', {...DEFAULT_QUIET_HOURS, enabled: document.getElementById('quietEnabled').checked, days});
+  scheduleQuietRelease();
+}
+
+// 保留があれば、おやすみ時間の終わりにまとめて通知するタイマーを張る（長い待ちは MAX_TICK_MS ごとに見直す）
+function scheduleQuietRelease(){
+  clearTimeout(quietReleaseTimer);
+  quietReleaseTimer = null;
+  if (!isLeader || !loadNotifications().some(x => x.held && x.held.length)) return;
+  const now = appNow();
+  const range = quietWindowAt(loadSettings().quietHours, now);
+  if (!range) return releaseHeldNotifications();
+  quietReleaseTimer = setTimeout(scheduleQuietRelease, Math.min(Math.max(0, range.end - now), MAX_TICK_MS));
+}
+
+function releaseHeldNotifications(){
+  const list = loadNotifications();
+  const summary = releaseHeld(list, appNow());
+  if (!summary) return;
+  saveNotifications(list);
+  loadList();
+  if (Notification.permission === 'granted') {
+    const payload = {id: QUIET_SUMMARY_ID, message: summary.title, body: summary.body, plain: true};
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage({type: 'showNotification', payload});
+    else new Notification(summary.title, {body: summary.body});
+  }
+  showInPageSummary(summary);
+  if (loadSettings().soundEnabled) playSound(DEFAULT_SOUND);
+}
+
+function showInPageSummary(summary){
+  const d = document.createElement('div');
+  d.className = 'notif';
+  d.innerHTML = `<div class="icon">🌙</div><div class="body"><p>${escapeHtml(summary.title)}</p><span style="white-space:pre-line">${escapeHtml(summary.body)}</span></div>`
+    + `<div class="notif-actions"><button data-action="close" aria-label="閉じる">✕</button></div>`;
+  d.querySelector('button').onclick = () => dismissInPageNotif(d);
+  notifArea.prepend(d);
+}
+
+// ===== 複数タブの連携 =====
+// 通知を発火させるのはリーダーのタブ1つだけ（Web Locks の LEADER_LOCK を持っているタブ）です。
+// リーダーのタブが閉じられると、ロックを待っていた次のタブが引き継ぎます。
+// ポップアップ・音もリーダーのタブだけで出します（ブラウザ通知はどのタブから出しても同じ）。
+// 保存したら BroadcastChannel で他のタブに知らせ、受け取ったタブは保存先から読み直します。
+// localStorage に保存している環境・設定の変更は storage イベントで受け取ります。
+// Web Locks がないブラウザでは、どのタブもリーダーとして動きます（以前と同じ）。
+const LEADER_LOCK = 'ns-scheduler-leader';
+const SYNC_CHANNEL = 'ns-sync';
+const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL) : null;
+let isLeader = false;
+
+function electLeader(){
+  if (!navigator.locks) return becomeLeader();
+  // コールバックが返す Promise が終わるまでロックを持ち続ける = タブを閉じるまで
+  navigator.locks.request(LEADER_LOCK, () => becomeLeader().then(() => new Promise(() => {})))
+    .catch(e => console.warn('リーダーのロックを取得できませんでした', e));
+}
+
+async function becomeLeader(){
+  isLeader = true;
+  // 待っている間に他のタブが書いた内容を読み直してから引き継ぐ
+  if (storeBackend === 'idb') {
+    await persistQueue;
+    notificationsCache = await dbGetAllNotifications();
+  }
+  await catchUpMissed();
+  loadList();
+  scheduleAllFromStorage();
+  scheduleQuietRelease();
+}
+
+function broadcastChange(type){
+  syncChannel?.postMessage({type});
+}
+
+function bindTabSync(){
+  syncChannel?.addEventListener('message', e => {
+    if (e.data && e.data.type === 'notificationsChanged') reloadFromStore();
+  });
+  window.addEventListener('storage', e => {
+    if (e.key === SETTINGS_KEY) {
+      renderSettingsValues();
+      scheduleQuietRelease();
+    } else if (e.key === STORAGE_KEY && storeBackend === 'localStorage') {
+      notificationsCache = readLocalStorageList();
+      loadList();
+      scheduleAllFromStorage();
+      scheduleQuietRelease();
+    }
+  });
+}
+
+// ===== 通知音 =====
+// 再生・音の一覧は sounds.js。確認（完了／スヌーズ／通知を開く／閉じる）されるまでの繰り返しはここで管理します
+const soundRepeats = new Map(); // item.id -> interval id
+
+function startSound(item, firedAt){
+  stopSoundRepeat(item.id);
+  if (!item.soundOn || !loadSettings().soundEnabled) return;
+  const sound = {...DEFAULT_SOUND, ...item.sound};
+  playSound(sound);
+  if (!(sound.repeatSec > 0)) return;
+  const startedAt = Date.now();
+  const timer = setInterval(() => {
+    if (isFiringAcknowledged(item.id, firedAt) || !loadSettings().soundEnabled || Date.now() - startedAt > SOUND_REPEAT_MAX_MS) {
+      return stopSoundRepeat(item.id);
+    }
+    playSound(sound);
+  }, sound.repeatSec * 1000);
+  soundRepeats.set(item.id, timer);
+}
+
+function stopSoundRepeat(id){
+  clearInterval(soundRepeats.get(id));
+  soundRepeats.delete(id);
+}
+
+// SW 通知のボタン・クリックは IndexedDB 経由で履歴に記録されるので、履歴を見て判定する
+function isFiringAcknowledged(id, firedAt){
+  const item = loadNotifications().find(x => x.id === id);
+  const entry = item && (item.history || []).find(h => h.ts === firedAt);
+  return !entry || !!(entry.ackAt || entry.snoozedAt);
+}
+
+function previewSound(){
+  playSound({
+    id: document.getElementById('soundId').value,
+    volume: (parseInt(document.getElementById('soundVolume').value) || 0) / 100
+  });
+}
+
+function updateVolumeLabel(){
+  document.getElementById('soundVolumeLabel').textContent = `${document.getElementById('soundVolume').value}%`;
+}
+
+// フォームの音の選択肢と、設定の「追加した音」一覧を作り直す
+async function refreshSoundOptions(){
+  let custom = [];
+  if (storeBackend === 'idb') {
+    try { custom = await loadCustomSounds(); } catch (e) { console.warn('追加した通知音を読み込めませんでした', e); }
+  }
+  const select = document.getElementById('soundId');
+  const current = select.value || DEFAULT_SOUND.id;
+  select.innerHTML = Object.entries(BUNDLED_SOUNDS).map(([id, s]) => `<option value="${escapeHtml(id)}">${escapeHtml(s.name)}</option>`).join('')
+    + custom.map(s => `<option value="${escapeHtml(CUSTOM_SOUND_PREFIX + s.id)}">${escapeHtml(s.name)}（追加した音）</option>`).join('');
+  select.value = soundExists(current) ? current : DEFAULT_SOUND.id;
+
+  const container = document.getElementById('customSoundList');
+  container.innerHTML = custom.length ? '' : '<p class="muted">追加した音はありません。</p>';
+  custom.forEach(s => {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    row.innerHTML = `<span>${escapeHtml(s.name)}</span>`;
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'btn btn-secondary';
+    play.textContent = '試聴';
+    play.onclick = () => playSound({id: CUSTOM_SOUND_PREFIX + s.id});
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'btn btn-secondary';
+    del.textContent = '削除';
+    del.onclick = () => deleteCustomSound(s);
+    row.appendChild(play); row.appendChild(del);
+    container.appendChild(row);
+  });
+}
+
+async function onSoundFileSelected(e){
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  if (storeBackend !== 'idb') return alert('この環境では音を追加できません（IndexedDB が使えません）');
+  if (!file.type.startsWith('audio/')) return alert('音声ファイルを選択してください');
+  if (file.size > MAX_CUSTOM_SOUND_BYTES) return alert(`ファイルが大きすぎます（${MAX_CUSTOM_SOUND_BYTES / 1024 / 1024}MB まで）`);
+  try {
+    await dbPutSound({id: generateId(), name: file.name.replace(/\.[^.]+$/, ''), type: file.type, blob: file, createdAt: Date.now()});
+  } catch (err) {
+    return alert(`音を保存できませんでした: ${err.message}`);
+  }
+  await refreshSoundOptions();
+}
+
+// 使っている通知は同梱のチャイムに戻す
+async function deleteCustomSound(s){
+  const soundId = CUSTOM_SOUND_PREFIX + s.id;
+  const list = loadNotifications();
+  const users = list.filter(x => x.sound && x.sound.id === soundId);
+  const note = users.length ? `\n${users.length}件の通知で使われています（チャイムに戻します）` : '';
+  if (!confirm(`「${s.name}」を削除しますか？${note}`)) return;
+  await dbDeleteSound(s.id);
+  if (users.length) {
+    users.forEach(x => { x.sound.id = DEFAULT_SOUND.id; });
+    saveNotifications(list);
+    loadList();
+  }
+  await refreshSoundOptions();
+}
+
+// ===== 時計のずれの補正 =====
+// 時刻ソースと比べて端末の時計のずれを測り、appNow() に反映します
+async function syncClock(){
+  const before = timeSync.offset;
+  await timeSync.sync(loadSettings().timeSource);
+  renderTimeSyncStatus();
+  if (timeSync.offset !== before) mirrorSettings();
+  // ずれが大きく変わったらタイマーを張り直す（早すぎ・遅すぎの発火を防ぐ）
+  if (Math.abs(timeSync.offset - before) >= 1000) {
+    scheduler.check();
+    updateDisplayedTime();
+  }
+}
+
+// 同じオリジンの相対パス（例: /push/time）も受け付ける
+function onTimeSourceChange(e){
+  const value = e.target.value.trim();
+  if (value) {
+    try { new URL(value, location.href); } catch (err) { return alert('URL を正しく入力してください'); }
+  }
+  saveSetting('timeSource', value);
+  syncClock();
+}
+
+function renderTimeSyncStatus(){
+  const s = timeSync.status();
+  const el = document.getElementById('timeSyncStatus');
+  if (!s.source) { el.textContent = '時刻ソース: 端末の時計（補正なし）'; return; }
+  const url = new URL(s.source, location.href);
+  const lines = [`時刻ソース: ${url.href}（${url.origin === location.origin ? '同じオリジン' : '外部'}）`];
+  if (s.syncedAt === null) {
+    lines.push('ずれ: 未測定（端末の時計を使用中）');
+  } else {
+    const sec = (Math.abs(s.offset) / 1000).toFixed(2);
+    const direction = Math.abs(s.offset) < 50 ? '' : s.offset > 0 ? '・端末の時計が遅れています' : '・端末の時計が進んでいます';
+    lines.push(`ずれ: ${s.offset >= 0 ? '+' : '-'}${sec}秒（補正済み${direction}） / 往復 ${s.rtt}ms${s.precision >= 1000 ? ' / 精度 ±0.5秒' : ''} / 最終測定 ${formatInZone(s.syncedAt, VIEWER_TZ)}`);
+  }
+  if (s.error) lines.push(`測定に失敗しました: ${s.error}${s.syncedAt === null ? '' : '（直前の値を使用中）'}`);
+  el.textContent = lines.join('\n');
+}
+
+// Utility
+function downloadFile(filename, content, type){
+  const url = URL.createObjectURL(new Blob([content], {type}));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
+
+// SW が IndexedDB を更新した（バックグラウンドで発火した等）ら読み直して再描画
+navigator.serviceWorker?.addEventListener('message', (event) => {
+  if (!event.data) return;
+  if (event.data.type === 'notificationsChanged' || event.data.type === 'triggeredBySW') {
+    reloadFromStore();
+  }
 });
 
 // script.js の末尾に追加する例
 
 // ===== タイムゾーン設定部分 開始 =====
+// 選択肢はIANAゾーン名のみ（旧バージョンの数値オフセットは normalizeTimeZone で変換）
+const TZ_STORAGE_KEY = 'ns_timezone';
 const timezoneSelect = document.getElementById("timezone");
-for (let i = -12; i <= 14; i++) {
-  const option = document.createElement("option");
-  const sign = i >= 0 ? "+" : "";
-  option.value = i;
-  option.textContent = `GMT${sign}${i}:00`;
-  timezoneSelect.appendChild(option);
+
+function populateTimeZones(){
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  const existing = new Set(Array.from(timezoneSelect.options).map(o => o.value));
+  [VIEWER_TZ, ...zones].forEach(tz => {
+    if (existing.has(tz) || !isValidTimeZone(tz)) return;
+    existing.add(tz);
+    const option = document.createElement("option");
+    option.value = tz;
+    option.textContent = tz === VIEWER_TZ ? `${tz}（この端末）` : tz;
+    timezoneSelect.appendChild(option);
+  });
 }
+populateTimeZones();
 
-const savedZone = localStorage.getItem("timezoneOffset");
-if (savedZone !== null) timezoneSelect.value = savedZone;
+// 旧キー timezoneOffset（数値）からの移行
+const legacyOffset = localStorage.getItem("timezoneOffset");
+if (legacyOffset !== null) {
+  if (localStorage.getItem(TZ_STORAGE_KEY) === null) localStorage.setItem(TZ_STORAGE_KEY, normalizeTimeZone(legacyOffset));
+  localStorage.removeItem("timezoneOffset");
+}
+
+const savedZone = localStorage.getItem(TZ_STORAGE_KEY);
+if (savedZone !== null) timezoneSelect.value = normalizeTimeZone(savedZone);
 
 timezoneSelect.addEventListener("change", () => {
-  localStorage.setItem("timezoneOffset", timezoneSelect.value);
+  localStorage.setItem(TZ_STORAGE_KEY, timezoneSelect.value);
   updateDisplayedTime();
 });
 
-async function getUTCNow() {
-  try {
-    const response = await fetch("https://worldtimeapi.org/api/timezone/Etc/UTC");
-    const data = await response.json();
-    return new Date(data.utc_datetime);
-  } catch (e) {
-    console.error("UTC時刻取得失敗:", e);
-    return new Date(new Date().toISOString());
-  }
-}
-
-async function updateDisplayedTime() {
-  const utc = await getUTCNow();
-  const offset = parseInt(localStorage.getItem("timezoneOffset") || "0", 10);
-  const local = new Date(utc.getTime() + offset * 3600000);
+// 時刻ソースで補正した現在時刻（ずれの測定は syncClock）
+function updateDisplayedTime() {
+  const utc = new Date(appNow());
+  const tz = normalizeTimeZone(localStorage.getItem(TZ_STORAGE_KEY) || timezoneSelect.value);
 
   const el = document.getElementById("current-time");
-  if (el) el.textContent = local.toLocaleString("ja-JP", { hour12: false });
+  if (el) el.textContent = utc.toLocaleString("ja-JP", { timeZone: tz, hour12: false });
 }
 
 updateDisplayedTime();
 setInterval(updateDisplayedTime, 60000);
-// ===== タイムゾーン設定部分 終了 =====
\ No newline at end of file
+// ===== タイムゾーン設定部分 終了 =====
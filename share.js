@@ -0,0 +1,80 @@
+/* share.js - 通知の設定を URL で共有する・プリセット（テンプレート）にする
+  - 共有 URL: <ページの URL>#share=<base64url(JSON)>（ハッシュなのでサーバーには送られません）
+    JSON = {v: SHARE_VERSION, items: [テンプレート, ...]}
+  - テンプレート = 通知から id・履歴・次回時刻などの状態を除いた設定だけ（SHARE_FIELDS）
+  - 共有するときは追加した音（custom:）を同梱の音に戻し、Webhook を外します（プリセットではそのまま）
+  - 受け取ったテンプレートは templateToItem で通知にしてから backup.js の migrateItem / validateItem で検証します
+  - DOMには触れないこと
+*/
+
+const SHARE_VERSION = 1;
+const SHARE_HASH_KEY = 'share';
+const SHARE_FIELDS = [
+  'message', 'mode', 'after', 'at', 'tz', 'repeatAt', 'weekdays', 'monthDay', 'nthWeekday', 'interval', 'rule', 'startDate',
+  'notifyType', 'soundOn', 'sound', 'tags', 'quietPolicy', 'preAlerts', 'webhook', 'sequence'
+];
+
+function itemToTemplate(item){
+  const template = {};
+  SHARE_FIELDS.forEach(key => {
+    if (item[key] !== undefined && item[key] !== null) template[key] = structuredClone(item[key]);
+  });
+  if (template.after) template.after = {hours: template.after.hours, minutes: template.after.minutes, loopCount: template.after.loopCount};
+  if (template.sequence) template.sequence = {steps: template.sequence.steps, repeat: template.sequence.repeat};
+  return template;
+}
+
+// 共有用のテンプレート（追加した音は相手の端末にないので同梱の音に戻す）
+// Webhook の URL は知っていれば誰でも投稿できる秘密の値なので含めない
+function shareTemplate(item){
+  const template = itemToTemplate(item);
+  delete template.webhook;
+  if (template.sound && String(template.sound.id).startsWith(CUSTOM_SOUND_PREFIX)) template.sound.id = DEFAULT_SOUND.id;
+  return template;
+}
+
+// UTF-8 の文字列 <-> base64url
+function base64UrlEncode(text){
+  let binary = '';
+  new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(s){
+  const binary = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function buildShareUrl(items, base){
+  const data = {v: SHARE_VERSION, items: items.map(shareTemplate)};
+  return `${base.split('#')[0]}#${SHARE_HASH_KEY}=${base64UrlEncode(JSON.stringify(data))}`;
+}
+
+// location.hash -> テンプレートの配列（共有リンクでなければ null、壊れていれば Error を投げる）
+function parseShareHash(hash){
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const encoded = params.get(SHARE_HASH_KEY);
+  if (!encoded) return null;
+  let data;
+  try { data = JSON.parse(base64UrlDecode(encoded)); } catch (e) { throw new Error('共有リンクを読み取れません（途中で切れている可能性があります）'); }
+  if (!data || !Array.isArray(data.items) || !data.items.length) throw new Error('共有リンクに通知が含まれていません');
+  if (data.v > SHARE_VERSION) throw new Error('新しいバージョンで作られた共有リンクです。アプリを更新してください');
+  return data.items.filter(t => t && typeof t === 'object');
+}
+
+// テンプレート（共有リンク・プリセット）-> {item, errors}。id は呼び出し側で決める
+function templateToItem(template, id, now = Date.now()){
+  const item = {...itemToTemplate(template), id, createdAt: now, enabled: true, history: []};
+  const errors = [];
+  try {
+    if (item.mode === 'after' && item.after) item.after.remainingLoops = item.after.loopCount || 0;
+    if (item.mode === 'sequence' && item.sequence) restartSequence(item);
+    item.nextTime = computeInitialNextTime(item, now);
+    if (item.nextTime === null) errors.push('今後の発生日時がありません');
+    else resetPreAlerts(item, now);
+  } catch (e) {
+    errors.push(e.message);
+  }
+  const migrated = migrateItem(item);
+  return {item: migrated, errors: errors.concat(validateItem(migrated))};
+}
@@ -0,0 +1,49 @@
+/* sounds.js - 通知音（同梱の音とユーザーが追加した音）の再生
+  - item.sound = {id, volume（0〜1）, repeatSec（確認されるまで繰り返す間隔。0 = 1回だけ）}
+  - id は同梱音のキー（BUNDLED_SOUNDS）か 'custom:<sounds ストアの id>'
+  - 追加した音は IndexedDB（db.js の sounds ストア）に Blob のまま保存します。
+    バックアップには含まれないので、見つからない音は同梱の ding で鳴らします
+  - 確認されるまでの繰り返しは履歴を見る必要があるので script.js 側で行います
+*/
+
+// ファイルを増やしたら sw.js の APP_SHELL と push-server/server.js の STATIC_FILES にも追加すること
+const BUNDLED_SOUNDS = {
+  ding: {name: 'チャイム', url: 'sounds/ding.mp3'},
+  bell: {name: 'ベル', url: 'sounds/bell.mp3'},
+  soft: {name: 'やさしい音', url: 'sounds/soft.mp3'},
+  beep: {name: 'ビープ', url: 'sounds/beep.mp3'},
+  alarm: {name: 'アラーム', url: 'sounds/alarm.mp3'}
+};
+const DEFAULT_SOUND = {id: 'ding', volume: 1, repeatSec: 0};
+const CUSTOM_SOUND_PREFIX = 'custom:';
+const MAX_CUSTOM_SOUND_BYTES = 2 * 1024 * 1024;
+const MIN_SOUND_REPEAT_SEC = 3;
+const customSoundUrls = new Map(); // sounds ストアの id -> object URL
+
+// 追加した音を読み込み、再生用の object URL を作り直す
+async function loadCustomSounds(){
+  const list = await dbGetAllSounds();
+  customSoundUrls.forEach(url => URL.revokeObjectURL(url));
+  customSoundUrls.clear();
+  list.forEach(s => customSoundUrls.set(s.id, URL.createObjectURL(s.blob)));
+  return list;
+}
+
+function soundExists(id){
+  if (BUNDLED_SOUNDS[id]) return true;
+  return String(id).startsWith(CUSTOM_SOUND_PREFIX) && customSoundUrls.has(id.slice(CUSTOM_SOUND_PREFIX.length));
+}
+
+function soundUrl(id){
+  if (BUNDLED_SOUNDS[id]) return BUNDLED_SOUNDS[id].url;
+  if (soundExists(id)) return customSoundUrls.get(id.slice(CUSTOM_SOUND_PREFIX.length));
+  return BUNDLED_SOUNDS[DEFAULT_SOUND.id].url;
+}
+
+// 自動再生が許可されていない（まだ操作していないページ）などで失敗しても通知自体は続ける
+function playSound(sound){
+  const {id, volume} = {...DEFAULT_SOUND, ...sound};
+  const audio = new Audio(soundUrl(id));
+  audio.volume = Math.min(1, Math.max(0, volume));
+  return audio.play().catch(e => console.warn('通知音を再生できませんでした', e));
+}
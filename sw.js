@@ -1,40 +1,107 @@
 /* sw.js - Service Worker
   注意:
-  - Service Worker から localStorage は読めないため、クライアント（ページ）からpostMessageで通知リストを渡してもらう必要があります。
-  - ここでは「可能ならPeriodic Syncを使う」「ページからリクエストがあればshowNotificationする」などのベストエフォート実装を行います。
-  - より確実にブラウザ閉じても通知を出すなら、サーバー側でWeb Pushを用意する必要があります。
+  - 通知データはページと共有の IndexedDB（db.js）から直接読み書きします。
+  - ページの設定（履歴の保存件数・おやすみ時間など）は IndexedDB の settings ストアにある写しを読みます。
+    時刻もページと同じく、写しの clockOffset（timesync.js で測った時計のずれ）で補正した appNow() を使います。
+  - おやすみ時間の保留分は、時間帯が終わった後の Periodic Sync / プッシュ受信時にまとめて通知します。
+  - Webhook（webhook.js）は通知を保存した後に送り、再送を待つ間も他の通知の発火は止めません。結果は終わってから履歴に書き込みます。
+  - Periodic Sync で起こされたら期限の来た通知を自分で発火し、nextTime を進める／無効化してから、開いているページに再描画を依頼します。
+  - Periodic Sync の間隔はブラウザ任せなので、より確実にブラウザ閉じても通知を出すなら、Web Push（push-server/）を使ってください。
+  - アプリ本体（APP_SHELL）は install 時にキャッシュし、キャッシュ優先で返すのでオフラインでも開けます。
+    アプリのファイルを変更したら CACHE_VERSION を上げてください（古いキャッシュは activate で削除）。
+  - 新しい SW は自動では切り替えず、ページの「更新があります」バナーから skipWaiting を依頼されたときに切り替えます。
 */
 
-const CACHE_NAME = 'ns-cache-v1';
+importScripts('/db.js', '/recurrence.js', '/quiethours.js', '/webhook.js');
+
+const CACHE_PREFIX = 'ns-cache-';
+const CACHE_VERSION = 21;
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/script.js',
+  '/style.css',
+  '/manifest.json',
+  '/assets/logo.png',
+  '/sounds/ding.mp3',
+  '/sounds/bell.mp3',
+  '/sounds/soft.mp3',
+  '/sounds/beep.mp3',
+  '/sounds/alarm.mp3',
+  '/db.js',
+  '/recurrence.js',
+  '/quiethours.js',
+  '/webhook.js',
+  '/timesync.js',
+  '/scheduler.js',
+  '/sounds.js',
+  '/share.js',
+  '/ics.js',
+  '/backup.js'
+];
+
 self.addEventListener('install', (e) => {
-  self.skipWaiting();
+  e.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
   console.log('[SW] installed');
 });
 
 self.addEventListener('activate', (e) => {
-  clients.claim();
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k)));
+    await clients.claim();
+  })());
   console.log('[SW] activated');
 });
 
-// store last delivered list in-memory (best-effort)
-let notificationsCache = [];
+// キャッシュ優先。ページ遷移は常にキャッシュ済みの index.html（クエリ付きの URL でも）
+// プッシュサーバーの API（/push/）と cache: 'no-store' の要求（時刻ソースの測定など）は素通しにする
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/push/') || req.cache === 'no-store') return;
+  event.respondWith(cacheFirst(req));
+});
+
+async function cacheFirst(req){
+  const cache = await caches.open(CACHE_NAME);
+  const cached = req.mode === 'navigate'
+    ? await cache.match('/index.html')
+    : await cache.match(req, {ignoreSearch: true});
+  if (cached) return cached;
+  const res = await fetch(req);
+  // キャッシュにない同一オリジンのファイルも次回のために保存
+  if (res.ok && res.type === 'basic') cache.put(req, res.clone());
+  return res;
+}
 
 // receive messages from client
 self.addEventListener('message', (e) => {
   const data = e.data;
   if (!data) return;
-  if (data.type === 'updateNotifications') {
-    // ask client to send us the full list
-    e.source?.postMessage({type:'requestNotifications'});
-  } else if (data.type === 'deliverNotifications') {
-    notificationsCache = data.payload || [];
-  } else if (data.type === 'showNotification') {
+  if (data.type === 'showNotification') {
     // client asked to show notification via SW
     const item = data.payload;
     showSWNotification(item);
+  } else if (data.type === 'skipWaiting') {
+    // 「更新があります」バナーの再読み込みボタン
+    self.skipWaiting();
   }
 });
 
+// ページが測った時計のずれ（設定の写しの clockOffset）。SW は起こされるたびに読み直す
+let clockOffset = 0;
+
+async function refreshClockOffset(){
+  const settings = await dbGetSettings().catch(() => ({}));
+  clockOffset = Number.isFinite(settings.clockOffset) ? settings.clockOffset : 0;
+}
+
+function appNow(){
+  return Date.now() + clockOffset;
+}
+
 // Try Periodic Sync (if browser supports periodicSync event)
 self.addEventListener('periodicsync', event => {
   if (event.tag === 'ns-periodic-sync') {
@@ -43,47 +110,195 @@ self.addEventListener('periodicsync', event => {
 });
 
 async function handlePeriodicSync(){
-  // For each notification in notificationsCache, check if nextTime <= now and show
-  const now = Date.now();
-  for (const item of notificationsCache) {
+  // For each stored notification, check if nextTime <= now and show
+  await refreshClockOffset();
+  const now = appNow();
+  const list = await dbGetAllNotifications();
+  const fired = [];
+  const webhooks = [];
+  for (const item of list) {
     if (!item.enabled) continue;
-    if (item.nextTime && item.nextTime <= now + 5000) { // allowance
-      await showSWNotification(item);
-      // We cannot update localStorage from SW; request client to update storage
-      // send message to all clients to indicate we triggered this item
-      const allClients = await clients.matchAll({includeUncontrolled: true});
-      for (const c of allClients) {
-        c.postMessage({type:'triggeredBySW', id: item.id});
-      }
+    // 予告と本番の両方が過ぎていたら予告は飛ばして本番を鳴らす（fireStoredItem が保存する）
+    skipStalePreAlerts(item, now);
+    const due = effectiveNextTime(item);
+    if (due && due <= now + 5000) { // allowance
+      webhooks.push((await fireStoredItem(item, due, 'sw')).webhook);
+      fired.push(item.id);
     }
   }
+  fired.push(...await releaseHeldIfQuietOver());
+  if (fired.length) await notifyClientsChanged(fired);
+  // Webhook の結果を履歴に書いたらもう一度再描画を依頼
+  if ((await Promise.all(webhooks)).some(Boolean)) await notifyClientsChanged(fired);
+}
+
+// SW 自身で発火: 表示 → 履歴を追記 → 次の時刻へ進めて保存
+// おやすみ時間中は通知ごとの quietPolicy に従って保留／破棄／音なしにする
+// 戻り値の webhook は Webhook の送信の Promise（結果を履歴に書き込めたら true）。送らなければ null
+// shown は通知を表示したか（おやすみ時間で保留・破棄したら false）
+// （async 関数から Promise をそのまま返すと送信の完了まで待たされるのでオブジェクトに包む）
+async function fireStoredItem(item, due, source){
+  const firedAt = appNow();
+  const settings = await dbGetSettings().catch(() => ({}));
+  const quiet = quietDecision(item, settings.quietHours, firedAt);
+  // 予告（◯分前）ならテンプレートの本文で、スヌーズボタンなし
+  const alert = upcomingAlert(item);
+  const preAlert = alert && alert.kind === 'pre' ? alert.preAlert : null;
+  const message = alertMessage(item, alert);
+  const entry = {ts: firedAt, message, delivery: 'browser', source};
+  if (preAlert) entry.preAlert = preAlert.minutes;
+  if (quiet === 'hold' || quiet === 'drop') {
+    Object.assign(entry, {delivery: 'none', quiet: quiet === 'hold' ? 'held' : 'dropped'});
+    if (quiet === 'hold') holdFiring(item, firedAt);
+  } else {
+    if (quiet === 'silent') entry.quiet = 'silent';
+    await showSWNotification({...item, message, firedAt, silent: quiet === 'silent', plain: !!preAlert});
+  }
+  appendHistory(item, entry, settings.historyLimit ?? DEFAULT_HISTORY_LIMIT);
+  advanceAfterFire(item, Math.max(firedAt, due));
+  await dbPutNotification(item);
+  // スヌーズの再通知は本人向けなので送らない
+  const shown = entry.delivery !== 'none';
+  if (!item.webhook || (alert && alert.kind === 'snooze')) return {webhook: null, shown};
+  return {webhook: sendWebhook(item.webhook, webhookVariables({...item, message}, firedAt, preAlert)).then(result => recordStoredWebhook(item.id, firedAt, result)), shown};
+}
+
+// 再送を待っている間にページ側で書き換えられているかもしれないので、最新を読み直してから書き込む
+async function recordStoredWebhook(id, firedAt, result){
+  if (!result.ok) console.warn('[SW] Webhook の送信に失敗しました', id, result.error);
+  const item = (await dbGetAllNotifications()).find(x => x.id === id);
+  if (!item || !recordWebhookResult(item, firedAt, result)) return false;
+  await dbPutNotification(item);
+  return true;
+}
+
+// おやすみ時間が終わっていれば保留分を1件の通知にまとめて出す。変更した通知の id を返します
+async function releaseHeldIfQuietOver(){
+  const settings = await dbGetSettings().catch(() => ({}));
+  const now = appNow();
+  if (quietWindowAt(settings.quietHours, now)) return [];
+  const list = await dbGetAllNotifications();
+  const summary = releaseHeld(list, now);
+  if (!summary) return [];
+  for (const item of list.filter(x => summary.ids.includes(x.id))) await dbPutNotification(item);
+  await showSWNotification({id: QUIET_SUMMARY_ID, message: summary.title, body: summary.body, plain: true});
+  return summary.ids;
+}
+
+// Web Push（push-server/）
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try { payload = event.data ? event.data.json() : {}; } catch (e) { payload = {message: event.data?.text()}; }
+  event.waitUntil(handlePush(payload));
+});
+
+// scheduledFor がまだ未発火の回（IndexedDB の次の時刻と一致）のときだけ発火します。
+// ページや Periodic Sync が先に発火していれば二重に発火しない
+// ただし userVisibleOnly の購読では必ず通知を出す（出さないとブラウザが汎用の通知を出す）ので、
+// 発火しないときは同じ tag の音なしの通知に置き換えます
+async function handlePush(payload){
+  if (payload.test || !payload.id) {
+    return showSWNotification({id: 'ns-push-test', message: payload.message || '通知', plain: true});
+  }
+  await refreshClockOffset();
+  const list = await dbGetAllNotifications();
+  const item = list.find(x => x.id === payload.id);
+  // 遅れて届いた予告のプッシュで本番も過ぎていれば、予告は飛ばして本番を鳴らす
+  if (item && item.enabled && skipStalePreAlerts(item, appNow()) && effectiveNextTime(item) <= appNow()) {
+    payload = {...payload, scheduledFor: effectiveNextTime(item)};
+  }
+  if (!item || !item.enabled || effectiveNextTime(item) !== payload.scheduledFor) {
+    const body = !item ? '削除された通知です' : !item.enabled ? '無効にした通知です' : 'この端末で通知済みです';
+    return showSWNotification({id: payload.id, message: item ? item.message : payload.message, body, plain: true, silent: true, renotify: false});
+  }
+  const {webhook, shown} = await fireStoredItem(item, payload.scheduledFor, 'push');
+  if (!shown) {
+    await showSWNotification({id: item.id, message: item.message, body: 'おやすみ時間のため表示を控えました（履歴に残しています）', plain: true, silent: true, renotify: false});
+  }
+  const released = await releaseHeldIfQuietOver();
+  await notifyClientsChanged([item.id, ...released]);
+  if (webhook && await webhook) await notifyClientsChanged([item.id]);
+}
+
+// SW で書き換えた通知をプッシュサーバーに送る（PATCH /push/schedules。履歴は送らない）
+// 購読していなければ何もしない。サーバーの URL は設定の写し（pushServer。空欄なら同じオリジン）
+async function syncPushItem(item){
+  const settings = await dbGetSettings().catch(() => ({}));
+  if (!settings.pushEnabled) return;
+  const sub = await self.registration.pushManager?.getSubscription();
+  if (!sub) return;
+  const base = (settings.pushServer || '').replace(/\/+$/, '') || self.location.origin;
+  const {history, ...rest} = item;
+  const res = await fetch(base + '/push/schedules', {
+    method: 'PATCH',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({endpoint: sub.endpoint, notifications: [rest]})
+  });
+  if (!res.ok) throw new Error(`プッシュサーバーの応答: ${res.status}`);
+}
+
+// 開いているページに IndexedDB の再読み込みを依頼
+async function notifyClientsChanged(ids){
+  const allClients = await clients.matchAll({includeUncontrolled: true, type: 'window'});
+  for (const c of allClients) {
+    c.postMessage({type:'notificationsChanged', ids});
+  }
 }
 
 // show notification helper
+// ボタンは表示できる数（Notification.maxActions）がブラウザごとに違うので、完了を先頭にしています
+// item.plain = ボタンなし（まとめ・テスト通知）, item.silent = 音・振動なし, item.body = 本文（既定は発火日時）
+// item.renotify = false なら同じ tag の通知を黙って置き換える
 function showSWNotification(item) {
   const title = item.message || '通知';
+  const firedAt = item.firedAt || appNow();
   const options = {
-    body: new Date(item.nextTime || Date.now()).toLocaleString(),
+    body: item.body || new Date(firedAt).toLocaleString(),
     tag: item.id,
-    renotify: true,
+    renotify: item.renotify !== false,
+    silent: !!item.silent,
     icon: '/favicon.ico',
     badge: '/favicon.ico',
-    data: {id: item.id}
+    data: {id: item.id, firedAt},
+    actions: item.plain ? [] : [
+      {action: 'done', title: '完了'},
+      {action: 'snooze5', title: '5分後'},
+      {action: 'snooze15', title: '15分後'}
+    ]
   };
   return self.registration.showNotification(title, options);
 }
 
+// スヌーズ／完了: ページが開いていなくても IndexedDB に反映し、開いているページには再読み込みを依頼
+async function handleNotificationAction(action, data){
+  if (!data || !data.id) return;
+  await refreshClockOffset();
+  const list = await dbGetAllNotifications();
+  const item = list.find(x => x.id === data.id);
+  if (!item) return;
+  applyNotificationAction(item, action, data.firedAt, appNow());
+  await dbPutNotification(item);
+  // アプリを閉じていてもスヌーズ後の回がプッシュで届くように、プッシュサーバーの予定も直す
+  if (action !== 'open') await syncPushItem(item).catch(e => console.warn('[SW] プッシュサーバーへの同期に失敗しました', e));
+  await notifyClientsChanged([item.id]);
+}
+
 // respond to click on notification
 self.addEventListener('notificationclick', function(event) {
   event.notification.close();
+  if (event.action) {
+    event.waitUntil(handleNotificationAction(event.action, event.notification.data));
+    return;
+  }
+  // 本文のクリックも「確認済み」として履歴に残す
   event.waitUntil(
-    clients.matchAll({ type: 'window' }).then( windowClients => {
+    handleNotificationAction('open', event.notification.data).catch(() => {}).then(() => clients.matchAll({ type: 'window' }).then( windowClients => {
       // Focus first client if exists, otherwise open new
       for (let i = 0; i < windowClients.length; i++) {
         const client = windowClients[i];
         if (client.url && 'focus' in client) return client.focus();
       }
       if (clients.openWindow) return clients.openWindow('/');
-    })
+    }))
   );
 });
\ No newline at end of file
@@ -0,0 +1,63 @@
+/* test/helpers.js - テスト用の読み込みと偽の時計
+  - アプリのファイルはブラウザの classic script（グローバルに関数を置く）なので、vm のコンテキストに順に読み込みます
+  - createFakeClock は scheduler.js の clock（{now, setTimeout, clearTimeout}）と同じ形で、実時間を待たずに時刻を進めます
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+// loadScripts(['recurrence.js', 'scheduler.js']) -> グローバルを持つコンテキスト
+function loadScripts(files, globals = {}){
+  const context = vm.createContext({console, TextEncoder, TextDecoder, structuredClone, setTimeout, clearTimeout, ...globals});
+  files.forEach(file => vm.runInContext(fs.readFileSync(path.join(APP_ROOT, file), 'utf8'), context, {filename: file}));
+  return context;
+}
+
+// const で宣言したグローバルはコンテキストのプロパティにならないので評価して取り出す
+function constant(context, name){
+  return vm.runInContext(name, context);
+}
+
+// 保留中の Promise（async の tick や onFire）を進める
+async function flush(){
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+function createFakeClock(start){
+  let now = start;
+  let seq = 0;
+  const timers = new Map(); // id -> {fn, at}
+  const delays = [];
+  return {
+    now: () => now,
+    setTimeout(fn, ms){
+      delays.push(ms);
+      timers.set(++seq, {fn, at: now + ms});
+      return seq;
+    },
+    clearTimeout(id){ timers.delete(id); },
+    // 張られたタイマーの待ち時間（ms）の一覧
+    delays,
+    get pending(){ return timers.size; },
+    // ms だけ進める。途中で期限の来たタイマーは時刻順に実行します
+    async advance(ms){
+      const end = now + ms;
+      for (;;) {
+        const [id, timer] = [...timers.entries()].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!timer || timer.at > end) break;
+        timers.delete(id);
+        now = Math.max(now, timer.at);
+        await timer.fn();
+        await flush();
+      }
+      now = end;
+    },
+    // スリープ: タイマーを動かさずに時刻だけ進める
+    sleep(ms){ now += ms; }
+  };
+}
+
+module.exports = {loadScripts, constant, flush, createFakeClock};
@@ -0,0 +1,80 @@
+/* test/ics.test.js - ics.js の読み込み（TZID の解釈・一度きりの予定・COUNT）と書き出し（VTIMEZONE）
+  - 実行: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadScripts} = require('./helpers');
+
+const NOW = Date.UTC(2025, 0, 1);
+const app = loadScripts(['recurrence.js', 'ics.js']);
+
+function calendar(...lines){
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+function event(uid, dtstart, ...extra){
+  return ['BEGIN:VEVENT', `UID:${uid}`, `SUMMARY:${uid}`, dtstart, ...extra, 'END:VEVENT'];
+}
+
+test('Windows のゾーン名（Outlook）は対応する IANA のゾーンで解釈する', () => {
+  const [c] = app.parseICS(calendar(...event('outlook', 'DTSTART;TZID="Eastern Standard Time":20250106T090000')), NOW);
+  assert.equal(c.error, undefined);
+  assert.equal(c.item.tz, 'America/New_York');
+  assert.equal(new Date(c.item.nextTime).toISOString(), '2025-01-06T14:00:00.000Z');
+});
+
+test('VTIMEZONE の X-LIC-LOCATION・固定オフセットからゾーンを決める', () => {
+  const text = calendar(
+    'BEGIN:VTIMEZONE', 'TZID:Custom London', 'X-LIC-LOCATION:Europe/London',
+    'BEGIN:STANDARD', 'DTSTART:19701025T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0000', 'END:STANDARD',
+    'BEGIN:DAYLIGHT', 'DTSTART:19700329T010000', 'TZOFFSETFROM:+0000', 'TZOFFSETTO:+0100', 'END:DAYLIGHT',
+    'END:VTIMEZONE',
+    'BEGIN:VTIMEZONE', 'TZID:Fixed Plus Nine',
+    'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', 'END:STANDARD',
+    'END:VTIMEZONE',
+    ...event('london', 'DTSTART;TZID=Custom London:20250701T090000'),
+    ...event('fixed', 'DTSTART;TZID=Fixed Plus Nine:20250701T090000')
+  );
+  const [london, fixed] = app.parseICS(text, NOW);
+  assert.equal(london.item.tz, 'Europe/London');
+  assert.equal(new Date(london.item.nextTime).toISOString(), '2025-07-01T08:00:00.000Z');
+  assert.equal(fixed.item.tz, 'Etc/GMT-9');
+  assert.equal(new Date(fixed.item.nextTime).toISOString(), '2025-07-01T00:00:00.000Z');
+});
+
+test('解釈できない TZID は推測せずにその予定だけ誤りにする', () => {
+  const [bad, ok] = app.parseICS(calendar(
+    ...event('bad', 'DTSTART;TZID=Nowhere Standard Time:20250106T090000'),
+    ...event('ok', 'DTSTART:20250106T090000Z')
+  ), NOW);
+  assert.match(bad.error, /Nowhere Standard Time/);
+  assert.equal(ok.error, undefined);
+});
+
+test('一度きりの予定は日付付きの「一度だけ」になる', () => {
+  const [c] = app.parseICS(calendar(...event('once', 'DTSTART;TZID=Asia/Tokyo:20250110T093000')), NOW);
+  assert.equal(c.item.repeatAt, 'none');
+  assert.equal(c.item.startDate, '2025-01-10');
+  assert.equal(new Date(c.item.nextTime).toISOString(), '2025-01-10T00:30:00.000Z');
+  assert.equal(app.computeNextAtTime(c.item, c.item.nextTime), null);
+  assert.match(app.describeRecurrence(c.item), /^一度だけ 2025\/01\/10/);
+});
+
+test('値の中の " と RRULE の COUNT', () => {
+  assert.equal(app.parseICSLine('DESCRIPTION:Meet at 5" screen').value, 'Meet at 5" screen');
+  const [c] = app.parseICS(calendar(...event('count', 'DTSTART;TZID=Asia/Tokyo:20250106T090000', 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3')), NOW);
+  assert.equal(c.item.rule, 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250120T000000Z');
+});
+
+test('書き出しは使ったゾーンごとに VTIMEZONE を付け、読み込み直すと同じ時刻になる', () => {
+  const item = {id: 'n1', message: '定例', mode: 'at', enabled: true, tz: 'America/New_York', at: {hour: 9, minute: 0}, repeatAt: 'weekly', weekdays: [1]};
+  item.nextTime = app.computeNextAtTime(item, NOW);
+  const text = app.buildICS([item, {...item, id: 'n2'}], NOW);
+  assert.equal(text.match(/BEGIN:VTIMEZONE/g).length, 1);
+  assert.match(text, /TZID:America\/New_York\r\nBEGIN:(STANDARD|DAYLIGHT)/);
+  assert.match(text, /BEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU/);
+  assert.match(text, /BEGIN:STANDARD\r\nDTSTART:20251102T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU/);
+  const [c] = app.parseICS(text, NOW);
+  assert.equal(c.item.nextTime, item.nextTime);
+});
@@ -0,0 +1,56 @@
+/* test/push-server.test.js - push-server/server.js の送信（失敗時の再送）と PATCH /push/schedules
+  - web-push が必要です（cd push-server && npm install）。入っていなければ飛ばします
+  - 実行: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let webpush = null;
+try { webpush = require(require.resolve('web-push', {paths: [path.join(__dirname, '..', 'push-server')]})); } catch (e) { /* 未インストール */ }
+
+const MIN = 60 * 1000;
+const ENDPOINT = 'https://push.example/sub-1';
+
+test('push-server', {skip: !webpush && 'push-server の web-push が未インストール'}, async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ns-push-'));
+  process.env.NS_DATA_DIR = dataDir;
+  const {server, checkDue} = require('../push-server/server.js');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => { server.close(); fs.rmSync(dataDir, {recursive: true, force: true}); });
+
+  const request = async (method, pathname, body) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`, {method, headers: {'Content-Type': 'application/json'}, body: JSON.stringify(body)});
+    return res.json();
+  };
+  const stored = () => Object.values(JSON.parse(fs.readFileSync(path.join(dataDir, 'subscriptions.json'), 'utf8')))[0].notifications;
+  const now = Date.now();
+  const item = {id: 'a', message: '休憩', mode: 'after', enabled: true, after: {hours: 0, minutes: 1, loopCount: 3, remainingLoops: 3}, nextTime: now - 1000};
+  await request('POST', '/push/subscribe', {subscription: {endpoint: ENDPOINT, keys: {}}, notifications: [item]});
+
+  await t.test('一時的な失敗では進めず、次の確認で送り直す', async () => {
+    const sent = [];
+    webpush.sendNotification = async (sub, payload) => {
+      sent.push(JSON.parse(payload).scheduledFor);
+      if (sent.length === 1) throw Object.assign(new Error('unavailable'), {statusCode: 503});
+    };
+    await checkDue(now);
+    assert.equal(stored()[0].nextTime, item.nextTime);
+    await checkDue(now + 10 * 1000);
+    assert.deepEqual(sent, [item.nextTime, item.nextTime]);
+    assert.equal(stored()[0].nextTime, now + 10 * 1000 + MIN);
+  });
+
+  await t.test('PATCH は送られた通知だけを差し替える（SW のスヌーズ）', async () => {
+    const snoozed = {...stored()[0], snooze: {until: now + 5 * MIN}, history: [{ts: now}]};
+    const other = {id: 'b', message: '追加', mode: 'after', enabled: true, after: {hours: 1, minutes: 0, loopCount: 0}, nextTime: now + 60 * MIN};
+    await request('PATCH', '/push/schedules', {endpoint: ENDPOINT, notifications: [snoozed, other]});
+    const list = stored();
+    assert.deepEqual(list.map(x => x.id), ['a', 'b']);
+    assert.deepEqual(list[0].snooze, {until: now + 5 * MIN});
+    assert.equal(list[0].history, undefined);
+  });
+});
@@ -0,0 +1,97 @@
+/* test/scheduler.test.js - scheduler.js の発火・再スケジュールを偽の時計で確かめる
+  - 実行: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadScripts, constant, flush, createFakeClock} = require('./helpers');
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const START = Date.UTC(2025, 0, 1, 0, 0); // 2025-01-01 00:00 UTC
+
+// 偽の時計で動くスケジューラーと、発火の記録（firedAt と本文）
+function setup(){
+  const app = loadScripts(['recurrence.js', 'scheduler.js']);
+  const clock = createFakeClock(START);
+  const fired = [];
+  const scheduler = app.createScheduler({
+    clock,
+    onFire: (item, firedAt) => { fired.push({at: firedAt, message: app.alertMessage(item)}); }
+  });
+  return {app, clock, scheduler, fired};
+}
+
+test('after: ループ回数だけ間隔ごとに発火して終わる', async () => {
+  const {clock, scheduler, fired} = setup();
+  const item = {id: 'a', message: 'ストレッチ', mode: 'after', enabled: true, after: {hours: 0, minutes: 10, loopCount: 3, remainingLoops: 3}, nextTime: START + 10 * MIN};
+  scheduler.schedule(item);
+  await clock.advance(2 * 60 * MIN);
+  assert.deepEqual(fired.map(f => (f.at - START) / MIN), [10, 20, 30]);
+  assert.equal(item.enabled, false);
+  assert.equal(scheduler.size, 0);
+  assert.equal(clock.pending, 0);
+});
+
+test('at: 繰り返しは毎回次の発生日時へ進む', async () => {
+  const {app, clock, scheduler, fired} = setup();
+  const item = {id: 'b', message: '朝会', mode: 'at', enabled: true, tz: 'UTC', at: {hour: 9, minute: 0}, repeatAt: 'interval', interval: {every: 1, unit: 'day'}, startDate: '2025-01-01'};
+  item.nextTime = app.computeNextAtTime(item, START);
+  scheduler.schedule(item);
+  await clock.advance(3 * DAY);
+  assert.deepEqual(fired.map(f => new Date(f.at).toISOString()), [
+    '2025-01-01T09:00:00.000Z', '2025-01-02T09:00:00.000Z', '2025-01-03T09:00:00.000Z'
+  ]);
+  assert.equal(item.nextTime, Date.UTC(2025, 0, 4, 9, 0));
+  assert.ok(scheduler.has('b'));
+});
+
+test('24.8日を超える先の予定も MAX_TICK_MS ごとに待って時刻どおりに発火する', async () => {
+  const {app, clock, scheduler, fired} = setup();
+  const due = START + 30 * DAY;
+  scheduler.schedule({id: 'c', message: '更新', mode: 'after', enabled: true, after: {hours: 720, minutes: 0, loopCount: 0}, nextTime: due});
+  const maxTick = constant(app, 'MAX_TICK_MS');
+  assert.equal(clock.delays[0], maxTick);
+  await clock.advance(31 * DAY);
+  assert.deepEqual(fired.map(f => f.at), [due]);
+  assert.ok(clock.delays.every(ms => ms >= 0 && ms <= maxTick));
+});
+
+test('スリープ復帰（focus など）で過ぎた予定をすぐに1回だけ発火する', async () => {
+  const {clock, scheduler, fired} = setup();
+  const target = new EventTarget();
+  scheduler.watchWake(target);
+  scheduler.schedule({id: 'd', message: '薬', mode: 'after', enabled: true, after: {hours: 0, minutes: 5, loopCount: 0}, nextTime: START + 5 * MIN});
+  clock.sleep(60 * MIN);
+  target.dispatchEvent(new Event('focus'));
+  await flush();
+  assert.deepEqual(fired.map(f => f.at), [START + 60 * MIN]);
+  // 止まっていたタイマーが後から動いても二重に鳴らさない
+  await clock.advance(10 * MIN);
+  assert.equal(fired.length, 1);
+});
+
+test('予告と本番の両方が過ぎてから復帰したら、予告は飛ばして本番だけ鳴らす', async () => {
+  const {app, clock, scheduler, fired} = setup();
+  const target = new EventTarget();
+  scheduler.watchWake(target);
+  const item = {id: 'e', message: '会議', mode: 'at', enabled: true, tz: 'UTC', at: {hour: 0, minute: 20}, repeatAt: 'none', preAlerts: [{minutes: 10, template: '{message}まであと{n}分'}]};
+  item.nextTime = app.computeNextAtTime(item, START);
+  app.resetPreAlerts(item, START);
+  scheduler.schedule(item);
+  clock.sleep(30 * MIN);
+  target.dispatchEvent(new Event('focus'));
+  await flush();
+  assert.deepEqual(fired, [{at: START + 30 * MIN, message: '会議'}]);
+  assert.equal(item.enabled, false);
+});
+
+test('予告は本番より前に、本番は時刻どおりに鳴る', async () => {
+  const {app, clock, scheduler, fired} = setup();
+  const item = {id: 'f', message: '会議', mode: 'at', enabled: true, tz: 'UTC', at: {hour: 0, minute: 20}, repeatAt: 'none', preAlerts: [{minutes: 10, template: '{message}まであと{n}分'}]};
+  item.nextTime = app.computeNextAtTime(item, START);
+  app.resetPreAlerts(item, START);
+  scheduler.schedule(item);
+  await clock.advance(60 * MIN);
+  assert.deepEqual(fired, [{at: START + 10 * MIN, message: '会議まであと10分'}, {at: START + 20 * MIN, message: '会議'}]);
+});
@@ -0,0 +1,32 @@
+/* test/sounds.test.js - 同梱の通知音がオフライン（APP_SHELL）とローカルサーバー（STATIC_FILES）でも使えるか
+  - 実行: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {loadScripts, constant} = require('./helpers');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+// ソースの配列リテラルから文字列を取り出す
+function listLiteral(file, name){
+  const source = fs.readFileSync(path.join(APP_ROOT, file), 'utf8');
+  const m = new RegExp(`const ${name} = (?:new Set\\()?\\[([\\s\\S]*?)\\]`).exec(source);
+  assert.ok(m, `${file} に ${name} がありません`);
+  return [...m[1].matchAll(/'([^']+)'/g)].map(x => x[1]);
+}
+
+test('同梱の音は複数あり、ファイル・APP_SHELL・STATIC_FILES が揃っている', () => {
+  const sounds = constant(loadScripts(['sounds.js']), 'BUNDLED_SOUNDS');
+  const urls = Object.values(sounds).map(s => s.url);
+  assert.ok(urls.length > 1);
+  const appShell = listLiteral('sw.js', 'APP_SHELL');
+  const staticFiles = listLiteral('push-server/server.js', 'STATIC_FILES');
+  urls.forEach(url => {
+    assert.ok(fs.statSync(path.join(APP_ROOT, url)).size > 0, url);
+    assert.ok(appShell.includes('/' + url), `APP_SHELL に ${url} がありません`);
+    assert.ok(staticFiles.includes(url), `STATIC_FILES に ${url} がありません`);
+  });
+});
@@ -0,0 +1,42 @@
+/* test/webhook.test.js - webhook.js の送り方（preflight に答えない受信先は単純なリクエスト）と再送
+  - 実行: npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadScripts} = require('./helpers');
+
+const app = loadScripts(['recurrence.js', 'webhook.js'], {URL, AbortController});
+const vars = {message: '会議', time: '2025/01/01 09:00'};
+const noSleep = async () => {};
+
+function recorder(...responses){
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({url, init});
+    return responses.shift();
+  };
+  return {calls, fetch};
+}
+
+const response = (status, type = 'cors') => ({ok: status >= 200 && status < 300, status, type, headers: {get: () => null}});
+
+test('Slack の Incoming Webhook へは text/plain・no-cors で同じ JSON を送り、再送しない', async () => {
+  const {calls, fetch} = recorder(response(0, 'opaque'));
+  const result = await app.sendWebhook({url: 'https://hooks.slack.com/services/T/B/X', template: app.webhookPresetTemplate('slack')}, vars, {fetch, sleep: noSleep});
+  assert.equal(result.ok, true);
+  assert.equal(result.opaque, true);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].init.mode, 'no-cors');
+  assert.equal(calls[0].init.headers['Content-Type'], 'text/plain;charset=UTF-8');
+  assert.equal(JSON.parse(calls[0].init.body).text, ':bell: 会議（2025/01/01 09:00）');
+});
+
+test('その他の受信先へは application/json で送り、5xx は再送する', async () => {
+  const {calls, fetch} = recorder(response(503), response(204));
+  const result = await app.sendWebhook({url: 'https://discord.com/api/webhooks/1/x', template: app.webhookPresetTemplate('discord')}, vars, {fetch, sleep: noSleep});
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(calls[0].init.mode, undefined);
+  assert.equal(calls[0].init.headers['Content-Type'], 'application/json');
+});
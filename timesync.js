@@ -0,0 +1,77 @@
+/* timesync.js - 端末の時計のずれ（オフセット）を時刻ソースとの比較で測る
+  - オフセット = 時刻ソースの時刻 − 端末の時刻（ms）。往復時間（RTT）の半分を足して応答が届くまでの遅れを補正します
+  - 1回ごとの測定値はネットワーク次第でばらつくので指数移動平均でならし、RTT が大きすぎる測定は捨てます
+  - 時刻ソースの応答は JSON（utc_datetime / datetime / now / unixtime_ms / unixtime）を優先し、なければ Date ヘッダーを使います
+    Date ヘッダーは秒単位なので誤差は ±0.5 秒程度。同じオリジンのサーバーなら専用の API がなくても使えます
+    （別オリジンの Date ヘッダーは CORS で読めません）
+  - 測定に失敗しても直前のオフセットを使い続け、status().error に理由を残します
+  - DOMには触れないこと
+    例: const ts = createTimeSync({fetch: fakeFetch, now: () => fakeNow}); await ts.sync('/push/time'); ts.now();
+*/
+
+const TIME_SYNC_MAX_RTT_MS = 5000;
+const TIME_SYNC_SMOOTHING = 0.3; // 新しい測定値の重み
+
+// 応答本文と Date ヘッダー -> {time, precision}（読めなければ null）
+function parseTimeSourceResponse(body, dateHeader){
+  let data = null;
+  try { data = JSON.parse(body); } catch (e) { /* JSON でなければ Date ヘッダーへ */ }
+  if (typeof data === 'number' && Number.isFinite(data)) return {time: data, precision: 1};
+  if (data && typeof data === 'object') {
+    for (const key of ['utc_datetime', 'datetime', 'dateTime']) {
+      const t = typeof data[key] === 'string' ? Date.parse(data[key]) : NaN;
+      if (Number.isFinite(t)) return {time: t, precision: 1};
+    }
+    for (const key of ['now', 'unixtime_ms', 'epochMillis']) {
+      if (Number.isFinite(data[key])) return {time: data[key], precision: 1};
+    }
+    if (Number.isFinite(data.unixtime)) return {time: data.unixtime * 1000 + 500, precision: 1000};
+  }
+  const t = dateHeader ? Date.parse(dateHeader) : NaN;
+  // 秒未満が切り捨てられているので中央の値にする
+  if (Number.isFinite(t)) return {time: t + 500, precision: 1000};
+  return null;
+}
+
+// options:
+//   fetch - fetch 互換の関数（既定: グローバルの fetch）
+//   now   - () => ms  端末の時計（既定: Date.now）
+function createTimeSync(options = {}){
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const deviceNow = options.now || (() => Date.now());
+  let state = {source: '', offset: 0, rtt: null, precision: null, syncedAt: null, error: null, samples: 0};
+
+  async function sync(source){
+    source = String(source || '').trim();
+    if (source !== state.source) {
+      // ソースを変えたら測り直す（空欄 = 端末の時計をそのまま使う）
+      state = {source, offset: 0, rtt: null, precision: null, syncedAt: null, error: null, samples: 0};
+    }
+    if (!source) return status();
+    try {
+      const t0 = deviceNow();
+      const res = await fetchImpl(source, {cache: 'no-store'});
+      const t1 = deviceNow();
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const parsed = parseTimeSourceResponse(await res.text(), res.headers.get('Date'));
+      if (!parsed) throw new Error('応答から時刻を読み取れません');
+      const rtt = t1 - t0;
+      if (rtt > TIME_SYNC_MAX_RTT_MS) throw new Error(`応答が遅すぎます（${rtt}ms）`);
+      const sample = parsed.time + rtt / 2 - t1;
+      const offset = state.samples ? state.offset + (sample - state.offset) * TIME_SYNC_SMOOTHING : sample;
+      state = {...state, offset: Math.round(offset), rtt, precision: parsed.precision, syncedAt: t1, error: null, samples: state.samples + 1};
+    } catch (e) {
+      state = {...state, error: e.message};
+    }
+    return status();
+  }
+
+  function status(){ return {...state}; }
+
+  return {
+    sync,
+    status,
+    now: () => deviceNow() + state.offset,
+    get offset(){ return state.offset; }
+  };
+}
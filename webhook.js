@@ -0,0 +1,132 @@
+/* webhook.js - 発火時に Webhook（Discord / Slack 互換の受信 URL）へ POST する（script.js と sw.js で共用）
+  - 通知ごとの item.webhook = {url, template}（なければ送らない）
+  - template は JSON の本文で、{{message}} などの差し込み項目は JSON の文字列としてエスケープした中身に置き換えます
+    （"{{message}}" のように引用符の中に書く。{{timestamp}} / {{preAlertMinutes}} は数値なので引用符なしでも可）
+  - 差し込み項目: id, message, firedAt（ISO 8601）, time（通知のゾーンの日時）, timestamp（ms）, tz, tags（「, 」区切り）, preAlertMinutes
+  - 失敗（通信エラー・429・5xx）は WEBHOOK_RETRIES 回まで間隔を倍にしながら再送します（429 の Retry-After は従う）。その他の 4xx は再送しません
+  - ブラウザから送るので、受信側が CORS（Content-Type: application/json の preflight）を許可している必要があります
+    preflight に答えない受信先（WEBHOOK_SIMPLE_HOSTS。Slack の Incoming Webhook など）には、同じ JSON の本文を
+    text/plain の単純なリクエスト（no-cors）で送ります。応答は読めないので、届いたかどうかは確かめられません（opaque: true）
+  - おやすみ時間はこの端末の都合なので Webhook には影響しません（保留・破棄の通知も送る）。スヌーズの再通知は送りません
+  - 結果は recordWebhookResult で該当する履歴（ts が発火時刻）に webhook: 'sent' | 'failed' と webhookError を残します
+  - DOMには触れないこと
+*/
+
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_BACKOFF_MS = 2000; // 1回目の再送までの待ち（以降は倍）
+const WEBHOOK_MAX_WAIT_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// preflight（OPTIONS）に答えないので text/plain の単純なリクエストで送る受信先
+const WEBHOOK_SIMPLE_HOSTS = ['hooks.slack.com'];
+const WEBHOOK_PRESETS = {
+  discord: {name: 'Discord', template: '{"content": "🔔 {{message}}（{{time}}）"}'},
+  slack: {name: 'Slack', template: '{"text": ":bell: {{message}}（{{time}}）"}'},
+  json: {name: 'JSON', template: '{"id": "{{id}}", "message": "{{message}}", "firedAt": "{{firedAt}}", "timestamp": {{timestamp}}, "tz": "{{tz}}", "tags": "{{tags}}", "preAlertMinutes": {{preAlertMinutes}}}'}
+};
+const DEFAULT_WEBHOOK_PRESET = 'discord';
+
+function webhookPresetTemplate(key){
+  return (WEBHOOK_PRESETS[key] || WEBHOOK_PRESETS[DEFAULT_WEBHOOK_PRESET]).template;
+}
+
+// テンプレートがどのプリセットと同じか（違えば 'custom'）
+function webhookPresetOf(template){
+  return Object.keys(WEBHOOK_PRESETS).find(key => WEBHOOK_PRESETS[key].template === template) || 'custom';
+}
+
+function webhookVariables(item, firedAt, preAlert){
+  const tz = normalizeTimeZone(item.tz);
+  return {
+    id: item.id,
+    message: item.message,
+    firedAt: new Date(firedAt).toISOString(),
+    time: formatInZone(firedAt, tz),
+    timestamp: firedAt,
+    tz,
+    tags: (item.tags || []).join(', '),
+    preAlertMinutes: preAlert ? preAlert.minutes : 0
+  };
+}
+
+// テンプレート -> 本文（JSON として正しくなければ Error を投げる）
+function renderWebhookPayload(template, vars){
+  const body = String(template || '').replace(/\{\{(\w+)\}\}/g, (m, key) => (key in vars ? JSON.stringify(String(vars[key])).slice(1, -1) : m));
+  try { JSON.parse(body); } catch (e) { throw new Error('本文が JSON として正しくありません'); }
+  return body;
+}
+
+// http(s) の URL でなければ誤りのメッセージを返す（問題なければ null）
+function webhookUrlError(url){
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : 'Webhook の URL は http(s) で入力してください';
+  } catch (e) {
+    return 'Webhook の URL が正しくありません';
+  }
+}
+
+// preflight なしで送る（text/plain・no-cors）受信先か
+function isSimpleWebhookUrl(url){
+  try {
+    return WEBHOOK_SIMPLE_HOSTS.includes(new URL(url).hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+// fetch に渡す設定。単純なリクエストは応答が opaque になる（status 0・ok は false）
+function webhookRequestInit(url, body){
+  return isSimpleWebhookUrl(url)
+    ? {method: 'POST', mode: 'no-cors', headers: {'Content-Type': 'text/plain;charset=UTF-8'}, body}
+    : {method: 'POST', headers: {'Content-Type': 'application/json'}, body};
+}
+
+// options:
+//   fetch   - fetch 互換の関数（既定: グローバルの fetch）
+//   sleep   - (ms) => Promise  再送までの待ち（既定: setTimeout）
+//   retries - 再送回数（既定: WEBHOOK_RETRIES）
+// 戻り値: {ok, status, attempts, error, opaque}（opaque は単純なリクエストで応答を読めなかったとき。ok は true にする）
+async function sendWebhook(webhook, vars, options = {}){
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const retries = options.retries ?? WEBHOOK_RETRIES;
+  let body;
+  try {
+    body = renderWebhookPayload(webhook.template, vars);
+  } catch (e) {
+    return {ok: false, status: null, attempts: 0, error: e.message};
+  }
+  let result = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    let wait = WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      const res = await fetchImpl(webhook.url, {...webhookRequestInit(webhook.url, body), signal: controller.signal});
+      // no-cors では失敗も成功も読めないので、通信エラーにならなければ送れたことにする（再送すると二重に届くため）
+      if (res.type === 'opaque') return {ok: true, status: null, attempts: attempt, error: null, opaque: true};
+      if (res.ok) return {ok: true, status: res.status, attempts: attempt, error: null};
+      result = {ok: false, status: res.status, attempts: attempt, error: `HTTP ${res.status}`};
+      if (res.status !== 429 && res.status < 500) return result;
+      const retryAfter = parseFloat(res.headers.get('Retry-After'));
+      if (Number.isFinite(retryAfter)) wait = retryAfter * 1000;
+    } catch (e) {
+      const error = e.name === 'AbortError' ? `${WEBHOOK_TIMEOUT_MS / 1000}秒以内に応答がありません` : e.message;
+      result = {ok: false, status: null, attempts: attempt, error};
+    } finally {
+      clearTimeout(timer);
+    }
+    if (attempt <= retries) await sleep(Math.min(wait, WEBHOOK_MAX_WAIT_MS));
+  }
+  return result;
+}
+
+// 発火時刻 ts の履歴に結果を残す。該当する履歴がなければ false
+function recordWebhookResult(item, ts, result){
+  const entry = (item.history || []).find(h => h.ts === ts);
+  if (!entry) return false;
+  entry.webhook = result.ok ? 'sent' : 'failed';
+  if (result.ok) delete entry.webhookError;
+  else entry.webhookError = `${result.error}（${result.attempts}回試行）`;
+  return true;
+}